@@ -0,0 +1,110 @@
+'use strict';
+
+/*
+  Instruction book: All steps of the building instructions laid out on one page for reading and printing.
+
+  The steps are walked and rendered by LDR.StepRenderer in the same way as LDR.InstructionsManager walks them, and the PLI of each step is drawn by LDR.PLIBuilder.drawPLIForStep().
+  Steps of sub models are placed in callout boxes with the background color of the sub model level and the number of times the sub model is placed. Callouts of sub models within sub models are nested.
+
+  The elements use the classes of css/book.css:
+  - book_step: A step with the elements book_step_number, book_pli and book_render.
+  - book_callout: The steps of a sub model with book_callout_multiplier and book_callout_steps holding the steps.
+
+  Example:
+
+  let book = new LDR.InstructionsBook(loader, document.getElementById('book'));
+  book.build(() => console.log('Ready to print'), (step, total) => console.log('Step ' + step + ' of ' + total));
+
+  Requires LDRStepHandler.js, LDRStepRenderer.js, LDRMeasurer.js, RectanglePacking.js and LDRPLIBuilder.js.
+
+  options:
+  - width, height: Size of the step renders in pixels. Default is 800 x 600.
+  - storage: Storage used by LDR.GeometryBuilder. See ClientStorage.js.
+ */
+LDR.InstructionsBook = function(loader, element, options) {
+    options = options || {};
+    this.loader = loader;
+    this.element = element;
+    this.width = options.width || 800;
+    this.height = options.height || 600;
+    this.storage = options.storage;
+}
+
+/*
+ * Add all steps to the element. onDone(), onProgress(step, totalSteps) and onError(error) are optional. onError is called if a step cannot be rendered. The steps added so far are kept.
+ */
+LDR.InstructionsBook.prototype.build = function(onDone, onProgress, onError) {
+    let self = this;
+    let loader = this.loader;
+    let stepRenderer = new LDR.StepRenderer(loader, {width:this.width, height:this.height, storage:this.storage});
+    let pliBuilder = new LDR.PLIBuilder(loader, false, loader.mainModel, 0, document.createElement('canvas'), document.createElement('div'));
+
+    let containers = [this.element]; // Element of the main model followed by the callouts of the sub models being built.
+
+    function create(parent, tag, cssClass) {
+        let ret = document.createElement(tag);
+        ret.setAttribute('class', cssClass);
+        parent.appendChild(ret);
+        return ret;
+    }
+    function image(canvas) {
+        let ret = document.createElement('img');
+        ret.src = canvas.toDataURL('image/png');
+        return ret;
+    }
+
+    function onStep(info, next) {
+        onProgress && onProgress(info.stepIndex, info.totalSteps);
+
+        // Open and close callouts for sub models:
+        while(containers.length-1 > info.level) {
+            containers.pop();
+        }
+        while(containers.length-1 < info.level) {
+            let callout = create(containers[containers.length-1], 'div', 'book_callout');
+            callout.style.backgroundColor = '#' + LDR.BackgroundColors[containers.length % LDR.BackgroundColors.length];
+            if(info.multiplier > 1 && containers.length === info.level) { // Innermost callout.
+                create(callout, 'span', 'book_callout_multiplier').innerHTML = 'x' + info.multiplier;
+            }
+            containers.push(create(callout, 'div', 'book_callout_steps'));
+        }
+
+        let stepElement = create(containers[containers.length-1], 'div', 'book_step');
+        create(stepElement, 'span', 'book_step_number').innerHTML = info.stepIndex;
+
+        // Copy the render as it is reused for the next step:
+        let canvas = document.createElement('canvas');
+        canvas.width = self.width;
+        canvas.height = self.height;
+        let context = canvas.getContext('2d');
+        context.drawImage(info.canvas, 0, 0);
+        if(info.rotator) {
+            let size = Math.min(self.width, self.height)*0.12;
+            LDR.StepRenderer.drawRotator(context, self.width - size, size, size);
+        }
+        let render = image(canvas);
+        render.setAttribute('class', 'book_render');
+
+        if(!info.step.containsPartSubModels(loader)) {
+            stepElement.appendChild(render); // Steps placing sub models have no PLI.
+            next();
+            return;
+        }
+        pliBuilder.drawPLIForStep(false, info.step, self.width*0.9, self.height*0.3, undefined, true, function() {
+                let pli;
+                try {
+                    pli = image(pliBuilder.pliElement);
+                }
+                catch(e) {
+                    next(e); // Errors in callbacks are not caught by the step renderer.
+                    return;
+                }
+                pli.setAttribute('class', 'book_pli');
+                pli.style.width = pliBuilder.pliElement.style.width; // Size without the pixel ratio.
+                stepElement.appendChild(pli);
+                stepElement.appendChild(render);
+                next();
+            });
+    }
+    stepRenderer.walkAndDispose(pliBuilder, onStep, null, onDone, onError);
+}
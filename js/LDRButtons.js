@@ -198,3 +198,16 @@ LDR.Buttons.prototype.atAnyOtherStep = function() {
 LDR.Buttons.prototype.setShownStep = function(step) {
     this.stepInput.value = ""+step;
 }
+/*
+ * Mark the shown step if it cannot be built using the parts of an inventory. See LDR.InventoryCheck.
+ * Call with undefined 'buildableSteps' to remove the marker.
+ */
+LDR.Buttons.prototype.setBuildableSteps = function(buildableSteps, step) {
+    if(buildableSteps === undefined) {
+        this.stepInput.removeAttribute('title');
+        this.stepInput.classList.remove('not_buildable');
+        return;
+    }
+    this.stepInput.setAttribute('title', 'Buildable up to step ' + buildableSteps);
+    this.stepInput.classList.toggle('not_buildable', step > buildableSteps);
+}
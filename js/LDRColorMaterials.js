@@ -77,6 +77,39 @@ LDR.Colors.isTrans = function(colorID) {
 
 LDR.Colors.canBeOld = false;
 
+/*
+  IDs of the solid LEGO colors: Colors with a LEGO ID which are neither transparent nor of a special material.
+  Used as default when finding the nearest color.
+ */
+LDR.Colors.getSolidColorIDs = function() {
+    let ret = [];
+    LDR.Colors.forEach((color, colorID) => {
+	if(color.lego_id !== undefined && !color.alpha && !color.material) {
+	    ret.push(colorID);
+	}
+    });
+    return ret;
+}
+
+/*
+  Find the color among 'colorIDs' which is nearest to 'rgb' ([r, g, b] with values from 0 to 255).
+  The 'redmean' distance is used as it is closer to human perception than the plain distance in RGB.
+ */
+LDR.Colors.getNearestColorID = function(rgb, colorIDs) {
+    let ret, best = Infinity;
+    colorIDs.forEach(colorID => {
+	let [r, g, b] = LDR.Colors.int2RGB(LDR.Colors[colorID].value);
+	let rMean = (rgb[0] + r) / 2;
+	let dr = rgb[0] - r, dg = rgb[1] - g, db = rgb[2] - b;
+	let d = (2 + rMean/256)*dr*dr + 4*dg*dg + (2 + (255-rMean)/256)*db*db;
+	if(d < best) {
+	    best = d;
+	    ret = colorID;
+	}
+    });
+    return ret;
+}
+
 LDR.Colors.buildLineMaterial = function(colorManager, color, conditional) {
     colorManager = colorManager.clone();
     colorManager.overWrite(color);
@@ -134,3 +167,155 @@ LDR.Colors.buildTriangleMaterial = function(colorManager, color) {
     return ret;
 }
 
+
+LDR.Colors.buildTexmapMaterial = function(colorManager, color, texture) {
+    colorManager = colorManager.clone();
+    colorManager.overWrite(color);
+    let colors = colorManager.shaderColors;
+    let len = colors.length;
+
+    let uniforms = {map: {type: 't', value: texture}};
+    if(LDR.Colors.canBeOld)
+	uniforms['old'] = {value: false};
+    if(len > 1) {
+	uniforms['colors'] = {type: 'v4v', value: colors};
+    }
+    else {
+	uniforms['color'] = {type: 'v4', value: colors[0]};
+    }
+    let ret = new THREE.RawShaderMaterial( {
+	uniforms: uniforms,
+	vertexShader: LDR.Shader.createTexmapVertexShader(LDR.Colors.canBeOld, colors),
+	fragmentShader: LDR.Shader.TexmapFragmentShader,
+	transparent: colorManager.containsTransparentColors()
+    });
+    ret.colorManager = colorManager;
+    return ret;
+}
+
+/*
+  Parse a color definition line and add it to LDR.Colors, replacing any existing color with the same code.
+  LDR.Colors is shared by all loaders, so the color is used by all models loaded afterwards.
+  Specification: https://www.ldraw.org/article/299.html
+
+  0 !COLOUR name CODE x VALUE v EDGE e [ALPHA a] [LUMINANCE l] [ CHROME | PEARLESCENT | RUBBER | MATTE_METALLIC | METAL | MATERIAL <params> ]
+
+  'parts' is the line split on spaces. Returns the color code. Throws an error message if the line is malformed.
+  LEGO and BrickLink names and IDs of a replaced color are kept.
+ */
+LDR.Colors.parseColourLine = function(parts) {
+    let color = {name: parts[2]};
+    let code, edge;
+
+    function parseValue(v) {
+        if(v && v.length === 7 && v[0] === '#') {
+            let ret = parseInt(v.substring(1), 16);
+            if(!isNaN(ret)) {
+                return ret;
+            }
+        }
+        throw 'Malformed color value "' + v + '" for the color "' + color.name + '"';
+    }
+    function parseNumber(v) {
+        let ret = parseInt(v);
+        if(isNaN(ret) || ret < 0 || ret > 255) {
+            throw 'Malformed number "' + v + '" for the color "' + color.name + '"';
+        }
+        return ret;
+    }
+
+    for(let i = 3; i < parts.length; i++) {
+        let keyword = parts[i];
+        switch(keyword) {
+        case 'CODE':
+            code = parseInt(parts[++i]);
+            break;
+        case 'VALUE':
+            color.value = parseValue(parts[++i]);
+            break;
+        case 'EDGE':
+            edge = parts[++i];
+            break;
+        case 'ALPHA':
+            color.alpha = parseNumber(parts[++i]);
+            if(color.alpha === 255) {
+                delete color.alpha; // Opaque colors have no alpha in LDR.Colors.
+            }
+            break;
+        case 'LUMINANCE':
+            color.luminance = parseNumber(parts[++i]);
+            break;
+        case 'CHROME':
+        case 'PEARLESCENT':
+        case 'RUBBER':
+        case 'MATTE_METALLIC':
+        case 'METAL':
+            color.material = keyword;
+            break;
+        case 'PEARL':
+            color.material = 'PEARLESCENT';
+            break;
+        case 'MATERIAL':
+            color.material = parts.slice(i).join(' ');
+            i = parts.length;
+            break;
+        default:
+            throw 'Unknown keyword "' + keyword + '" for the color "' + color.name + '"';
+        }
+    }
+
+    if(code === undefined || isNaN(code) || code < 0 || code >= 10000) {
+        throw 'Missing or invalid CODE for the color "' + color.name + '"';
+    }
+    if(color.value === undefined) {
+        throw 'Missing VALUE for the color "' + color.name + '"';
+    }
+    if(edge === undefined) {
+        throw 'Missing EDGE for the color "' + color.name + '"';
+    }
+    if(edge[0] === '#') {
+        color.edge = parseValue(edge);
+    }
+    else { // The edge can also be the code of another color:
+        let edgeColor = LDR.Colors[parseInt(edge)];
+        if(!edgeColor) {
+            throw 'Unknown EDGE color "' + edge + '" for the color "' + color.name + '"';
+        }
+        color.edge = edgeColor.value;
+    }
+
+    let old = LDR.Colors[code];
+    if(old) {
+        ['lego_name', 'lego_id', 'bricklink_name', 'bricklink_id'].forEach(key => {
+                if(old.hasOwnProperty(key)) {
+                    color[key] = old[key];
+                }
+            });
+    }
+    LDR.Colors[code] = color;
+    return code;
+}
+
+/*
+  Parse all '0 !COLOUR' lines in 'data', such as the content of LDConfig.ldr. Other lines are ignored.
+  onWarning is called with an error message for each malformed line.
+ */
+LDR.Colors.parseColourLines = function(data, onWarning) {
+    let dataLines = data.split(/(\r\n)|\n/);
+    for(let i = 0; i < dataLines.length; i++) {
+        let line = dataLines[i];
+        if(!line) {
+            continue;
+        }
+        let parts = line.split(' ').filter(x => x !== '');
+        if(parts[0] !== '0' || parts[1] !== '!COLOUR') {
+            continue;
+        }
+        try {
+            LDR.Colors.parseColourLine(parts);
+        }
+        catch(e) {
+            onWarning({message:e + '. The color is ignored.', line:i});
+        }
+    }
+}
@@ -0,0 +1,366 @@
+'use strict';
+
+/*
+  Export of models to binary glTF 2.0 (.glb). Specification: https://www.khronos.org/registry/glTF/specs/2.0/glTF-2.0.html
+
+  The vertices of each part are written once. Each part in each color becomes a mesh with a primitive for each color of the part.
+  Parts and sub models are placed by nodes using the transformations from the LDraw files, so that the structure of the model is kept:
+
+  - The root node converts LDraw coordinates (LDU, -Y is up) to glTF coordinates (meters, +Y is up).
+  - Each step of a model or sub model is a node named 'Step N' holding the parts and sub models placed in it.
+  - Sub models are nodes named by their ID holding the nodes of their steps.
+
+  Colors of LDR.Colors become PBR materials. Transparent colors are blended, and chrome and metal colors are metallic.
+  Texture maps are not exported. Their triangles are exported in the color of the part.
+
+  Example:
+
+  let exporter = new LDR.GLTFExporter(loader);
+  let glb = exporter.exportModel(); // ArrayBuffer
+  let blob = new Blob([glb], {type:'model/gltf-binary'});
+
+  The geometries of the parts are built using LDR.GeometryBuilder if this has not already been done.
+
+  options:
+  - scale: Meters per LDU. Default is 0.0004 (0.4 mm)
+  - lines: Set to true to also export the lines of the parts as line primitives. Default is false.
+ */
+LDR.GLTFExporter = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.scale = options.scale || 0.0004;
+    this.lines = options.lines || false;
+}
+
+LDR.GLTFExporter.MODE_LINES = 1;
+LDR.GLTFExporter.MODE_TRIANGLES = 4;
+
+/*
+  Metallic and roughness factors of the LDraw finishes:
+ */
+LDR.GLTFExporter.FINISHES = {
+    CHROME: {metallic:1, roughness:0.05},
+    METAL: {metallic:1, roughness:0.35},
+    PEARLESCENT: {metallic:0.5, roughness:0.25},
+    RUBBER: {metallic:0, roughness:0.9}
+};
+LDR.GLTFExporter.DEFAULT_FINISH = {metallic:0, roughness:0.3};
+
+/*
+ * Export the model 'ID' of the loader, or the main model if no ID is given.
+ * Returns the content of the .glb file as an ArrayBuffer.
+ */
+LDR.GLTFExporter.prototype.exportModel = function(ID) {
+    let loader = this.loader;
+    ID = ID || loader.mainModel;
+    let pt = loader.partTypes[ID];
+    if(!pt || pt === true) {
+        throw 'Unknown model: ' + ID;
+    }
+
+    // Ensure the parts have geometries:
+    let geometryBuilder = new LDR.GeometryBuilder(loader, {});
+    geometryBuilder.build(pt.isPart() ? (pt.geometry ? [] : [pt]) : geometryBuilder.getAllTopLevelToBeBuilt());
+
+    this.json = {
+        asset: {version:'2.0', generator:'buildinginstructions.js'},
+        scene: 0,
+        scenes: [{nodes:[0]}],
+        nodes: [],
+        meshes: [],
+        materials: [],
+        accessors: [],
+        bufferViews: []
+    };
+    this.chunks = []; // Binary data of the buffer views.
+    this.byteLength = 0;
+    this.positions = {}; // Part ID => accessor of the vertices.
+    this.meshes = {}; // Part ID + ' ' + color ID => mesh index.
+    this.materials = {}; // Color ID => material index.
+
+    let s = this.scale;
+    let root = this.addNode({name:pt.ID, matrix:[s,0,0,0, 0,-s,0,0, 0,0,-s,0, 0,0,0,1]});
+    if(pt.isPart()) {
+        this.addPart(root, pt, 16);
+    }
+    else {
+        this.addSteps(root, pt, 16);
+    }
+
+    return this.pack();
+}
+
+LDR.GLTFExporter.prototype.addNode = function(node) {
+    this.json.nodes.push(node);
+    return node;
+}
+
+LDR.GLTFExporter.prototype.addChild = function(parent, node) {
+    if(!parent.children) {
+        parent.children = [];
+    }
+    parent.children.push(this.json.nodes.length);
+    return this.addNode(node);
+}
+
+/*
+ * Add a node for each step of a model. Parts removed by MLCad buffer exchange are left out.
+ */
+LDR.GLTFExporter.prototype.addSteps = function(parent, pt, colorID) {
+    let self = this;
+    pt.steps.forEach((step, idx) => {
+            let stepNode = self.addChild(parent, {name:'Step ' + (idx+1)});
+            step.subModels.forEach(pd => self.addPartDescription(stepNode, pd, colorID));
+        });
+}
+
+LDR.GLTFExporter.prototype.addPartDescription = function(parent, pd, colorID) {
+    if(pd.bufferRetrieve) {
+        return; // Not part of the finished model.
+    }
+    let pt = this.loader.partTypes[pd.ID];
+    if(!pt || pt === true) {
+        this.loader.onWarning({message:'Unloaded sub model "' + pd.ID + '" is not exported.'});
+        return;
+    }
+    if(pt.replacement) {
+        pt = this.loader.partTypes[pt.replacement];
+    }
+
+    // Resolve the color of the part:
+    let c = pd.colorID;
+    if(c === 16) {
+        c = colorID;
+    }
+    else if(c === 24) {
+        c = colorID >= 10000 ? colorID : colorID + 10000;
+    }
+
+    let r = pd.rotation.elements, p = pd.position; // Both Matrix3 and glTF matrices are column-major.
+    let node = this.addChild(parent, {name:pd.ID, matrix:[r[0],r[1],r[2],0, r[3],r[4],r[5],0, r[6],r[7],r[8],0, p.x,p.y,p.z,1]});
+
+    if(pt.isPart()) {
+        this.addPart(node, pt, c);
+    }
+    else {
+        this.addSteps(node, pt, c);
+    }
+}
+
+LDR.GLTFExporter.prototype.addPart = function(node, pt, colorID) {
+    let key = pt.ID + ' ' + colorID;
+    if(!this.meshes.hasOwnProperty(key)) {
+        this.meshes[key] = this.buildMesh(pt, colorID);
+    }
+    if(this.meshes[key] >= 0) {
+        node.mesh = this.meshes[key];
+    }
+}
+
+/*
+ * Create the mesh of a part in a color. Returns the index of the mesh, or -1 if the part has no geometry to export.
+ */
+LDR.GLTFExporter.prototype.buildMesh = function(pt, colorID) {
+    let g = pt.geometry;
+    if(!g || g.vertices.length === 0) {
+        return -1;
+    }
+    if(!g.cull) { // Add back faces:
+        let culled = new LDR.LDRGeometry();
+        culled.replaceWithDeep(g);
+        culled.ensureCull();
+        g = culled;
+    }
+
+    function resolve(c) {
+        c = parseInt(c);
+        if(c === 16) {
+            return colorID;
+        }
+        if(c === 24) {
+            return colorID >= 10000 ? colorID : colorID + 10000;
+        }
+        return c;
+    }
+
+    // Indices by resolved color:
+    let triangles = {}, lines = {};
+    function add(map, c, indices) {
+        c = resolve(c);
+        if(!map.hasOwnProperty(c)) {
+            map[c] = [];
+        }
+        map[c].push(...indices);
+    }
+    for(let c in g.triangles) {
+        if(g.triangles.hasOwnProperty(c)) {
+            g.triangles[c].forEach(t => add(triangles, c, [t.p1, t.p2, t.p3]));
+        }
+    }
+    for(let c in g.quads) {
+        if(g.quads.hasOwnProperty(c)) {
+            g.quads[c].forEach(q => add(triangles, c, [q.p1, q.p2, q.p3, q.p1, q.p3, q.p4]));
+        }
+    }
+    for(let idx in g.texmapTriangles) {
+        if(g.texmapTriangles.hasOwnProperty(idx)) {
+            g.texmapTriangles[idx].forEach(t => add(triangles, t.c, [t.p1, t.p2, t.p3]));
+        }
+    }
+    if(this.lines) {
+        for(let c in g.lines) {
+            if(g.lines.hasOwnProperty(c)) {
+                g.lines[c].forEach(l => add(lines, c, [l.p1, l.p2]));
+            }
+        }
+    }
+
+    let primitives = [];
+    let self = this;
+    function addPrimitives(map, mode) {
+        for(let c in map) {
+            if(!map.hasOwnProperty(c)) {
+                continue;
+            }
+            primitives.push({attributes:{POSITION:self.getPositions(pt.ID, g)},
+                             indices:self.addIndices(map[c], g.vertices.length),
+                             material:self.getMaterial(parseInt(c)),
+                             mode:mode});
+        }
+    }
+    addPrimitives(triangles, LDR.GLTFExporter.MODE_TRIANGLES);
+    addPrimitives(lines, LDR.GLTFExporter.MODE_LINES);
+    if(primitives.length === 0) {
+        return -1;
+    }
+
+    this.json.meshes.push({name:pt.ID + (colorID === 16 ? '' : ' ' + colorID), primitives:primitives});
+    return this.json.meshes.length-1;
+}
+
+/*
+ * Add binary data as a buffer view. Buffer views are aligned to 4 bytes.
+ */
+LDR.GLTFExporter.prototype.addBufferView = function(array, target) {
+    let padding = (4 - this.byteLength % 4) % 4;
+    if(padding > 0) {
+        this.chunks.push(new Uint8Array(padding));
+        this.byteLength += padding;
+    }
+    this.json.bufferViews.push({buffer:0, byteOffset:this.byteLength, byteLength:array.byteLength, target:target});
+    this.chunks.push(array);
+    this.byteLength += array.byteLength;
+    return this.json.bufferViews.length-1;
+}
+
+LDR.GLTFExporter.prototype.getPositions = function(ID, g) {
+    if(this.positions.hasOwnProperty(ID)) {
+        return this.positions[ID];
+    }
+    let array = new Float32Array(3*g.vertices.length);
+    let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    g.vertices.forEach((v, i) => {
+            array[3*i] = v.x;
+            array[3*i+1] = v.y;
+            array[3*i+2] = v.z;
+        });
+    for(let i = 0; i < array.length; i++) { // Bounds are required for positions.
+        min[i%3] = Math.min(min[i%3], array[i]);
+        max[i%3] = Math.max(max[i%3], array[i]);
+    }
+    this.json.accessors.push({bufferView:this.addBufferView(array, 34962), componentType:5126, count:g.vertices.length, type:'VEC3', min:min, max:max});
+    this.positions[ID] = this.json.accessors.length-1;
+    return this.positions[ID];
+}
+
+LDR.GLTFExporter.prototype.addIndices = function(indices, vertexCount) {
+    let small = vertexCount <= 65535;
+    let array = small ? new Uint16Array(indices) : new Uint32Array(indices);
+    this.json.accessors.push({bufferView:this.addBufferView(array, 34963), componentType:small ? 5123 : 5125, count:indices.length, type:'SCALAR'});
+    return this.json.accessors.length-1;
+}
+
+/*
+ * Get the material of a color. Colors of 10000 and above are the edge colors of the colors 10000 below.
+ */
+LDR.GLTFExporter.prototype.getMaterial = function(colorID) {
+    if(this.materials.hasOwnProperty(colorID)) {
+        return this.materials[colorID];
+    }
+    let edge = colorID >= 10000;
+    let color = LDR.Colors[edge ? colorID - 10000 : colorID];
+    if(!color) {
+        this.loader.onWarning({message:'Unknown color ' + colorID + ' is exported as color 16.'});
+        color = LDR.Colors[16];
+    }
+
+    // glTF colors are linear:
+    let c = new THREE.Color(edge ? (color.edge !== undefined ? color.edge : 0x333333) : color.value);
+    c.convertSRGBToLinear();
+    let alpha = (!edge && color.alpha) ? color.alpha/255 : 1;
+    let finish = LDR.GLTFExporter.FINISHES[color.material] || LDR.GLTFExporter.DEFAULT_FINISH;
+
+    let material = {
+        name: (color.name || ('Color_' + colorID)) + (edge ? '_Edge' : ''),
+        pbrMetallicRoughness: {
+            baseColorFactor: [c.r, c.g, c.b, alpha],
+            metallicFactor: finish.metallic,
+            roughnessFactor: finish.roughness
+        }
+    };
+    if(alpha < 1) {
+        material.alphaMode = 'BLEND';
+    }
+    if(!edge && color.luminance) { // Glowing colors:
+        let f = Math.min(1, color.luminance/15);
+        material.emissiveFactor = [c.r*f, c.g*f, c.b*f];
+    }
+
+    this.json.materials.push(material);
+    this.materials[colorID] = this.json.materials.length-1;
+    return this.materials[colorID];
+}
+
+/*
+ * Create the .glb file: A header followed by a JSON chunk and a binary chunk.
+ */
+LDR.GLTFExporter.prototype.pack = function() {
+    this.json.buffers = [{byteLength:this.byteLength}];
+    ['meshes', 'materials', 'accessors', 'bufferViews'].forEach(key => {
+            if(this.json[key].length === 0) {
+                delete this.json[key]; // Empty arrays are not allowed.
+            }
+        });
+    if(this.byteLength === 0) {
+        delete this.json.buffers;
+    }
+
+    let json = new TextEncoder().encode(JSON.stringify(this.json));
+    let jsonLength = Math.ceil(json.length/4)*4;
+    let binLength = Math.ceil(this.byteLength/4)*4;
+    let totalLength = 12 + 8 + jsonLength + (binLength > 0 ? 8 + binLength : 0);
+
+    let ret = new ArrayBuffer(totalLength);
+    let view = new DataView(ret);
+    let bytes = new Uint8Array(ret);
+    view.setUint32(0, 0x46546C67, true); // 'glTF'
+    view.setUint32(4, 2, true);
+    view.setUint32(8, totalLength, true);
+
+    view.setUint32(12, jsonLength, true);
+    view.setUint32(16, 0x4E4F534A, true); // 'JSON'
+    bytes.set(json, 20);
+    bytes.fill(0x20, 20 + json.length, 20 + jsonLength); // Pad JSON with spaces.
+
+    if(binLength > 0) {
+        let pos = 20 + jsonLength;
+        view.setUint32(pos, binLength, true);
+        view.setUint32(pos + 4, 0x004E4942, true); // 'BIN'
+        pos += 8;
+        this.chunks.forEach(chunk => {
+                bytes.set(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength), pos);
+                pos += chunk.byteLength;
+            });
+    }
+    return ret;
+}
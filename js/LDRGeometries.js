@@ -47,6 +47,7 @@ LDR.LDRGeometry = function() {
     this.conditionalLines = {}; // c -> [{p1,p2,p3,p4},...]
     this.triangles = {}; // c -> [{p1,p2,p3},...]
     this.quads = {}; // c -> [{p1,p2,p3},...]
+    this.texmapTriangles = {}; // texmapID -> [{c,p1,p2,p3,u1,v1,u2,v2,u3,v3},...]
     this.cull = true;
     // geometries:
     this.lineColorManager;
@@ -54,9 +55,22 @@ LDR.LDRGeometry = function() {
     this.triangleColorManager;
     this.triangleGeometry;
     this.conditionalLineGeometry;
+    this.texmapGeometries; // texmapID -> {geometry, colorManager}
     this.geometriesBuilt = false;
 }
 
+/*
+  Texmapped triangles are not included when packing and serializing.
+ */
+LDR.LDRGeometry.prototype.hasTexmaps = function() {
+    for(let idx in this.texmapTriangles) {
+	if(this.texmapTriangles.hasOwnProperty(idx)) {
+	    return true;
+	}
+    }
+    return false;
+}
+
 LDR.LDRGeometry.prototype.serialize = function() {
     let c = this.pack();
     let ret = '1'; // version
@@ -397,9 +411,48 @@ LDR.LDRGeometry.prototype.buildGeometriesAndColors = function() {
     }
     this.triangleGeometry = this.buildGeometry(triangleIndices, triangleVertexAttribute);
 
+    this.buildGeometriesForTexmaps();
+
     this.geometriesBuilt = true;
 }
 
+/*
+  Texmapped triangles do not share vertices, since vertices have different uv's for each texmap.
+  Each texmap has its own geometry and color manager.
+ */
+LDR.LDRGeometry.prototype.buildGeometriesForTexmaps = function() {
+    this.texmapGeometries = {};
+    for(let idx in this.texmapTriangles) {
+	if(!this.texmapTriangles.hasOwnProperty(idx)) {
+	    continue;
+	}
+	let triangles = this.texmapTriangles[idx];
+	let colorManager = new LDR.ColorManager();
+	let multiColored = triangles.some(t => t.c != triangles[0].c);
+
+	let vertices = [], uvs = [];
+	for(let i = 0; i < triangles.length; i++) {
+	    let t = triangles[i];
+	    let fc = colorManager.get(t.c);
+	    let ps = [this.vertices[t.p1], this.vertices[t.p2], this.vertices[t.p3]];
+	    for(let j = 0; j < 3; j++) {
+		let v = ps[j];
+		vertices.push(v.x, v.y, v.z);
+		if(multiColored) {
+		    vertices.push(fc);
+		}
+	    }
+	    uvs.push(t.u1, t.v1, t.u2, t.v2, t.u3, t.v3);
+	}
+
+	let g = new THREE.BufferGeometry();
+	g.addAttribute('position', new THREE.Float32BufferAttribute(vertices, multiColored ? 4 : 3));
+	g.addAttribute('uv', new THREE.Float32BufferAttribute(uvs, 2));
+	g.computeBoundingBox();
+	this.texmapGeometries[idx] = {geometry:g, colorManager:colorManager};
+    }
+}
+
 LDR.LDRGeometry.prototype.buildGeometry = function(indices, vertexAttribute) {
     if(indices.length == 0) {
 	return null;
@@ -447,6 +500,7 @@ LDR.LDRGeometry.prototype.replaceWith = function(g) {
     this.conditionalLines = g.conditionalLines;
     this.triangles = g.triangles;
     this.quads = g.quads;
+    this.texmapTriangles = g.texmapTriangles;
     this.cull = g.cull;
 }
 
@@ -504,6 +558,18 @@ LDR.LDRGeometry.prototype.replaceWithDeep = function(g) {
 	}
 	this.quads[c] = ps;
     }
+    for(let idx in g.texmapTriangles) {
+	if(!g.texmapTriangles.hasOwnProperty(idx)) {
+	    continue;
+        }
+	let primitives = g.texmapTriangles[idx];
+	let ps = [];
+	for(let i = 0; i < primitives.length; i++) {
+            let p = primitives[i];
+            ps.push({c:p.c, p1:p.p1, p2:p.p2, p3:p.p3, u1:p.u1, v1:p.v1, u2:p.u2, v2:p.v2, u3:p.u3, v3:p.v3});
+	}
+	this.texmapTriangles[idx] = ps;
+    }
 
     this.cull = g.cull;
 }
@@ -514,6 +580,21 @@ LDR.LDRGeometry.prototype.replaceWithDeep = function(g) {
 LDR.LDRGeometry.prototype.fromPrimitives = function(lines, conditionalLines, triangles, quads, parent) {
     let geometries = [];
 
+    // Texmapped triangles and quads are handled separately:
+    let texmapped = triangles.filter(t => t.texmapPlacement);
+    if(texmapped.length > 0) {
+	triangles = triangles.filter(t => !t.texmapPlacement);
+    }
+    quads.filter(q => q.texmapPlacement).forEach(q => texmapped.push(
+	{colorID:q.colorID, p1:q.p1, p2:q.p2, p3:q.p4, texmapPlacement:q.texmapPlacement},
+	{colorID:q.colorID, p1:q.p2, p2:q.p3, p3:q.p4, texmapPlacement:q.texmapPlacement}));
+    if(texmapped.length > 0) {
+	quads = quads.filter(q => !q.texmapPlacement);
+	let g = new LDR.LDRGeometry();
+	g.fromTexmapTriangles(texmapped);
+	geometries.push(g);
+    }
+
     if(lines.length > 0) {
 	let g = new LDR.LDRGeometry(); 
 	g.fromLines(lines);
@@ -654,6 +735,68 @@ LDR.LDRGeometry.prototype.fromQuads = function(ps) {
     this.sortAndBurnVertices(vertices, this.quads);
 }
 
+/*
+  Build a geometry from {p1,p2,p3,colorID,texmapPlacement} triangles.
+  The uv's are computed using the texmap placements.
+ */
+LDR.LDRGeometry.prototype.fromTexmapTriangles = function(ps) {
+    let vertices = [];
+    for(let i = 0; i < ps.length; i++) {
+	let p = ps[i], idx;
+	let texmapID = p.texmapPlacement.idx;
+	let [u1, v1] = p.texmapPlacement.getUV(p.p1);
+	let [u2, v2] = p.texmapPlacement.getUV(p.p2);
+	let [u3, v3] = p.texmapPlacement.getUV(p.p3);
+	let t = {c:p.colorID, u1:u1, v1:v1, u2:u2, v2:v2, u3:u3, v3:v3};
+	if(this.texmapTriangles.hasOwnProperty(texmapID)) {
+	    let ts = this.texmapTriangles[texmapID];
+	    idx = ts.length;
+	    ts.push(t);
+	}
+	else {
+	    this.texmapTriangles[texmapID] = [t];
+	    idx = 0;
+	}
+	vertices.push({x:p.p1.x, y:p.p1.y, z:p.p1.z, c:texmapID, idx:idx, p:1},
+		      {x:p.p2.x, y:p.p2.y, z:p.p2.z, c:texmapID, idx:idx, p:2},
+		      {x:p.p3.x, y:p.p3.y, z:p.p3.z, c:texmapID, idx:idx, p:3});
+    }
+    this.sortAndBurnVertices(vertices, this.texmapTriangles);
+}
+
+/*
+  Move all triangles and quads into the texmap of the texmap placement.
+  This is used for sub parts placed within a TEXMAP command, so the
+  vertices have to be in the coordinate system of the texmap placement.
+ */
+LDR.LDRGeometry.prototype.applyTexmap = function(texmapPlacement) {
+    let texmapID = texmapPlacement.idx;
+    if(!this.texmapTriangles.hasOwnProperty(texmapID)) {
+	this.texmapTriangles[texmapID] = [];
+    }
+    let ts = this.texmapTriangles[texmapID];
+    let self = this;
+    function add(c, p1, p2, p3) {
+	let [u1, v1] = texmapPlacement.getUV(self.vertices[p1]);
+	let [u2, v2] = texmapPlacement.getUV(self.vertices[p2]);
+	let [u3, v3] = texmapPlacement.getUV(self.vertices[p3]);
+	ts.push({c:c, p1:p1, p2:p2, p3:p3, u1:u1, v1:v1, u2:u2, v2:v2, u3:u3, v3:v3});
+    }
+
+    for(let c in this.triangles) {
+	if(this.triangles.hasOwnProperty(c)) {
+	    this.triangles[c].forEach(t => add(c, t.p1, t.p2, t.p3));
+        }
+    }
+    for(let c in this.quads) {
+	if(this.quads.hasOwnProperty(c)) {
+	    this.quads[c].forEach(q => {add(c, q.p1, q.p2, q.p4); add(c, q.p2, q.p3, q.p4);});
+        }
+    }
+    this.triangles = {};
+    this.quads = {};
+}
+
 /*
   Consolidate the primitives and sub-parts of the step.
 */
@@ -667,6 +810,9 @@ LDR.LDRGeometry.prototype.fromStep = function(loader, step, parent) {
     function handleSubModel(subModel) {
         let g = new LDR.LDRGeometry(); 
 	g.fromPartDescription(loader, subModel);
+	if(subModel.texmapPlacement) {
+	    g.applyTexmap(subModel.texmapPlacement);
+	}
         geometries.push(g);
     }
     step.subModels.forEach(handleSubModel);
@@ -689,12 +835,70 @@ LDR.LDRGeometry.prototype.fromPartType = function(loader, pt) {
     this.replaceWith(LDR.mergeGeometries(geometries));
 }
 
-LDR.LDRGeometry.prototype.fromPartDescription = function(loader, pd) {
-    if(!loader.partTypes[pd.ID].geometry) {
+/*
+  Consolidate a model including its sub models, such as for exporting.
+  Unlike fromPartType(), sub models do not need prepared geometries, and they are left unchanged. Only the parts need prepared geometries.
+  Parts removed by MLCad buffer exchange are left out. Lines and conditional lines are dropped unless 'keepLines' is true.
+*/
+LDR.LDRGeometry.prototype.fromModel = function(loader, pt, keepLines) {
+    if(pt.geometry) {
+	this.replaceWithDeep(pt.geometry);
+    }
+    else {
+	let geometries = [];
+	function addGeometry(g) {
+	    if(!keepLines) {
+		g.lines = {};
+		g.conditionalLines = {};
+	    }
+	    geometries.push(g);
+	}
+	pt.steps.forEach(step => {
+	    if(step.hasPrimitives) {
+		let g = new LDR.LDRGeometry();
+		g.fromPrimitives(step.lines, step.conditionalLines, step.triangles, step.quads, pt.ID);
+		g.cull = step.cull;
+		addGeometry(g);
+	    }
+	    step.subModels.forEach(pd => {
+		if(pd.bufferRetrieve) {
+		    return; // Not part of the finished model.
+		}
+		let subModel = loader.partTypes[pd.ID];
+		let subModelGeometry = subModel.geometry;
+		if(!subModelGeometry) {
+		    subModelGeometry = new LDR.LDRGeometry();
+		    subModelGeometry.fromModel(loader, subModel, keepLines);
+		}
+		let g = new LDR.LDRGeometry();
+		g.fromPartDescription(loader, pd, subModelGeometry);
+		g.cull = subModelGeometry.cull; // Models without BFC information do not affect the culling of the parts, as when rendering.
+		if(pd.texmapPlacement) {
+		    g.applyTexmap(pd.texmapPlacement);
+		}
+		addGeometry(g);
+	    });
+	});
+	if(geometries.length > 0) {
+	    this.replaceWith(LDR.mergeGeometries(geometries));
+	}
+    }
+    if(!keepLines) {
+	this.lines = {};
+	this.conditionalLines = {};
+    }
+}
+
+/*
+  Place the geometry of pd.ID as described by pd. The geometry can be given using 'geometry', such as when pd.ID is a sub model.
+*/
+LDR.LDRGeometry.prototype.fromPartDescription = function(loader, pd, geometry) {
+    geometry = geometry || loader.partTypes[pd.ID].geometry;
+    if(!geometry) {
 	console.dir(loader.partTypes[pd.ID]);
 	throw "Missing geometry on " + pd.ID;
     }
-    this.replaceWithDeep(loader.partTypes[pd.ID].geometry); // Assume pd.ID has prepared geometry.
+    this.replaceWithDeep(geometry); // Assume pd.ID has prepared geometry.
     this.cull = this.cull && pd.cull;
     let invert = pd.invertCCW != (pd.rotation.determinant() < 0);
 
@@ -910,6 +1114,31 @@ LDR.LDRGeometry.prototype.fromPartDescription = function(loader, pd) {
 	}
     }
 
+    for(let idx in this.texmapTriangles) {
+	if(!this.texmapTriangles.hasOwnProperty(idx)) {
+	    continue;
+        }
+	let triangles = this.texmapTriangles[idx];
+	for(let i = 0; i < triangles.length; i++) {
+	    let p = triangles[i];
+	    let v1 = this.vertices[p.p1];
+	    let v2 = this.vertices[p.p2];
+	    let v3 = this.vertices[p.p3];
+	    p.c = replaceColor(p.c);
+	    if(invert) {
+		p.p1 = v3.newIndex;
+		p.p2 = v2.newIndex;
+		p.p3 = v1.newIndex;
+		[p.u1, p.v1, p.u3, p.v3] = [p.u3, p.v3, p.u1, p.v1];
+	    }
+	    else {
+		p.p1 = v1.newIndex;
+		p.p2 = v2.newIndex;
+		p.p3 = v3.newIndex;
+	    }
+	}
+    }
+
     // Clean up:
     for(let i = 0; i < this.vertices.length; i++) {
 	let v = this.vertices[i];
@@ -954,6 +1183,11 @@ LDR.LDRGeometry.prototype.mapIndices = function(map) {
 	    this.quads[c].forEach(function(x){LDR.map4(x, map);});
         }
     }
+    for(let idx in this.texmapTriangles) {
+	if(this.texmapTriangles.hasOwnProperty(idx)) {
+	    this.texmapTriangles[idx].forEach(function(x){LDR.map3(x, map);});
+        }
+    }
 }
 
 LDR.LDRGeometry.prototype.ensureCull = function() {
@@ -982,6 +1216,17 @@ LDR.LDRGeometry.prototype.ensureCull = function() {
 	    quads.push({p1:q.p4, p2:q.p3, p3:q.p2, p4:q.p1});
 	}
     }
+    for(let idx in this.texmapTriangles) {
+	if(!this.texmapTriangles.hasOwnProperty(idx)) {
+	    continue;
+        }
+	let triangles = this.texmapTriangles[idx];
+	let T = triangles.length;
+	for(let i = 0; i < T; i++) {
+	    let t = triangles[i];
+	    triangles.push({c:t.c, p1:t.p3, p2:t.p2, p3:t.p1, u1:t.u3, v1:t.v3, u2:t.u2, v2:t.v2, u3:t.u1, v3:t.v1});
+	}
+    }
     this.cull = true;
 }
 
@@ -1077,4 +1322,15 @@ LDR.LDRGeometry.prototype.merge = function(other) {
 	    this.quads[c] = other.quads[c];
         }
     }
+    for(let idx in other.texmapTriangles) {
+	if(!other.texmapTriangles.hasOwnProperty(idx)) {
+	    continue;
+        }
+	if(this.texmapTriangles.hasOwnProperty(idx)) {
+	    this.texmapTriangles[idx].push(...other.texmapTriangles[idx]);
+        }
+	else {
+	    this.texmapTriangles[idx] = other.texmapTriangles[idx];
+        }
+    }
 }
@@ -0,0 +1,123 @@
+'use strict';
+
+/*
+  Export of all steps of the building instructions as a sequence of PNG images in a ZIP archive.
+
+  The images are named by their step numbers, such as 'step_001.png'. The archive also holds 'manifest.json' with information about each step:
+
+  {
+    "model": "main.ldr",
+    "width": 1200,
+    "height": 900,
+    "steps": [
+      {"file": "step_001.png", "step": 1, "model": "main.ldr", "level": 0, "multiplier": 1, "rotated": false, "rotation": null},
+      {"file": "step_002.png", "step": 2, "model": "wing.ldr", "level": 1, "multiplier": 2, "rotated": true, "rotation": {"x": 0, "y": 180, "z": 0, "type": "REL"}},
+      ...
+    ]
+  }
+
+  'level' is 0 for steps of the main model and 1 and up for steps of sub models. 'multiplier' is the number of times the sub model being built is placed.
+  'rotated' tells if the model is rotated compared to the previous step. 'rotation' is the ROTSTEP of the step.
+
+  Example:
+
+  let exporter = new LDR.ImageSequenceExporter(loader, {width:800, height:600, transparent:true});
+  exporter.exportSteps(blob => saveAs(blob, 'steps.zip'), (step, total) => console.log('Step ' + step + ' of ' + total));
+
+  Requires LDRStepHandler.js, LDRStepRenderer.js, LDRMeasurer.js and LDRZipWriter.js. RectanglePacking.js and LDRPLIBuilder.js are required for the PLI.
+
+  options:
+  - width, height: Size of the images in pixels. Default is 1200 x 900.
+  - background: Background color, such as 0xFFFFFF. Defaults to the background colors of the steps like in the building instructions.
+  - transparent: Set to true for a transparent background.
+  - pli: Set to true to draw the PLI in the upper left corner of the images.
+  - storage: Storage used by LDR.GeometryBuilder. See ClientStorage.js.
+ */
+LDR.ImageSequenceExporter = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.options = options;
+    this.width = options.width || 1200;
+    this.height = options.height || 900;
+    this.pli = options.pli || false;
+}
+
+/*
+ * Render all steps. onDone(blob) is called with the ZIP archive. onProgress(step, totalSteps) and onError(error) are optional. onError is called if a step cannot be rendered or saved.
+ */
+LDR.ImageSequenceExporter.prototype.exportSteps = function(onDone, onProgress, onError) {
+    let loader = this.loader;
+    let W = this.width, H = this.height;
+    let stepRenderer = new LDR.StepRenderer(loader, {width:W, height:H, background:this.options.background,
+                                                     transparent:this.options.transparent, storage:this.options.storage});
+    let pliBuilder = this.pli ? new LDR.PLIBuilder(loader, false, loader.mainModel, 0, document.createElement('canvas'), document.createElement('div')) : null;
+    let canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    let context = canvas.getContext('2d');
+
+    let zip = new LDR.ZipWriter();
+    let manifest = {model:loader.mainModel, width:W, height:H, steps:[]};
+    let digits = Math.max(3, ('' + stepRenderer.stepHandler.totalNumberOfSteps).length);
+
+    function onStep(info, next) {
+        onProgress && onProgress(info.stepIndex, info.totalSteps);
+        let file = 'step_' + ('00000000' + info.stepIndex).slice(-digits) + '.png';
+        let rotation = info.step.rotation;
+        manifest.steps.push({file:file,
+                             step:info.stepIndex,
+                             model:info.modelID,
+                             level:info.level,
+                             multiplier:info.multiplier,
+                             rotated:!!info.rotator,
+                             rotation:rotation ? {x:rotation.x, y:rotation.y, z:rotation.z, type:rotation.type} : null});
+
+        function save() {
+            canvas.toBlob(function(blob) {
+                    if(!blob) {
+                        next('The image of step ' + info.stepIndex + ' could not be created');
+                        return;
+                    }
+                    blob.arrayBuffer().then(buffer => {
+                            zip.add(file, new Uint8Array(buffer));
+                            next();
+                        }, next);
+                }, 'image/png');
+        }
+
+        context.clearRect(0, 0, W, H);
+        context.drawImage(info.canvas, 0, 0);
+        if(!pliBuilder || !info.step.containsPartSubModels(loader)) {
+            save();
+            return;
+        }
+        let pixelRatio = window.devicePixelRatio;
+        function drawPLI() {
+            let pli = pliBuilder.pliElement;
+            let f = Math.min(1, W*0.8/pli.width, H*0.3/pli.height);
+            let pad = Math.round(Math.min(W, H)*0.02);
+            context.fillStyle = '#FFF';
+            context.fillRect(pad, pad, pli.width*f, pli.height*f);
+            context.drawImage(pli, pad, pad, pli.width*f, pli.height*f);
+            context.strokeStyle = '#000';
+            context.lineWidth = 2;
+            context.strokeRect(pad, pad, pli.width*f, pli.height*f);
+        }
+        pliBuilder.drawPLIForStep(false, info.step, W*0.8/pixelRatio, H*0.3/pixelRatio, undefined, true, function() {
+                try {
+                    drawPLI();
+                }
+                catch(e) {
+                    next(e); // Errors in callbacks are not caught by the step renderer.
+                    return;
+                }
+                save();
+            });
+    }
+
+    function onStepsDone() {
+        zip.add('manifest.json', JSON.stringify(manifest, null, 2));
+        return zip.toBlob();
+    }
+    stepRenderer.walkAndDispose(pliBuilder, onStep, onStepsDone, onDone, onError);
+}
@@ -1,5 +1,9 @@
 'use strict';
 
+/*
+  modelUrl is the location of the model to show. It can also be a File or Blob, such as from an <input type="file"> element.
+  LDD models (.lxf and .lxfml files) are imported if LDRLXF.js is loaded. MagicaVoxel models (.vox files) are imported if LDRVox.js is loaded.
+ */
 LDR.InstructionsManager = function(modelUrl, modelID, mainImage, refreshCache, baseURL, stepFromParameters, options) {
     let startTime = new Date();
     let self = this;
@@ -13,6 +17,7 @@ LDR.InstructionsManager = function(modelUrl, modelID, mainImage, refreshCache, b
     this.scene = new THREE.Scene(); // To add stuff to
     this.scene.background = new THREE.Color( 0xFFFFFF );
     this.storage; // Will be set in onLoad()
+    this.inventoryCheck = null; // Set by setInventory()
 
     //this.scene.add( new THREE.AxesHelper( 5 ) );
 
@@ -75,6 +80,7 @@ LDR.InstructionsManager = function(modelUrl, modelID, mainImage, refreshCache, b
     this.currentMultiplier = 1;
     this.currentRotation = false;
     this.initialConfiguration = true;
+    this.clock = LDR.InstructionsManager.REAL_TIME; // Time of the animations. Replaced by LDR.VideoRecorder.
 
     this.windowStepCauseByHistoryManipulation = false;
     this.doneShown = false;
@@ -195,9 +201,31 @@ LDR.InstructionsManager = function(modelUrl, modelID, mainImage, refreshCache, b
     this.setUpOptions();
     this.onWindowResize();
     this.ldrLoader = new THREE.LDRLoader(onLoad, options);
-    this.ldrLoader.load(modelUrl);
+    let modelName = modelUrl instanceof Blob ? modelUrl.name : modelUrl;
+    if(LDR.LXFImporter && /\.lxfml?$/i.test(modelName)) { // LDD model.
+        new LDR.LXFImporter(this.ldrLoader).load(modelUrl);
+    }
+    else if(LDR.VoxImporter && /\.vox$/i.test(modelName)) { // MagicaVoxel model.
+        new LDR.VoxImporter(this.ldrLoader).load(modelUrl);
+    }
+    else if(modelUrl instanceof Blob) { // Local file, such as from an <input type="file"> element.
+        this.ldrLoader.loadFile(modelUrl);
+    }
+    else {
+        this.ldrLoader.load(modelUrl);
+    }
 }
 
+/*
+  The animations of realignModel() are timed by a clock with the functions now(), requestAnimationFrame(f) and cancelAnimationFrame(id).
+  This clock follows the time of the browser, while LDR.VideoRecorder uses a clock which advances one video frame at a time.
+ */
+LDR.InstructionsManager.REAL_TIME = {
+    now: () => new Date().getTime(),
+    requestAnimationFrame: f => requestAnimationFrame(f),
+    cancelAnimationFrame: id => cancelAnimationFrame(id)
+};
+
 LDR.InstructionsManager.prototype.updateRotator = function(zoom) {
     let rotator = document.getElementById("rotator");
     let showRotator = this.stepHandler.getShowRotatorForCurrentStep();
@@ -302,6 +330,7 @@ LDR.InstructionsManager.prototype.updateUIComponents = function(force) {
         this.ldrButtons.atAnyOtherStep();
     }
     this.ldrButtons.setShownStep(this.currentStep);
+    this.ldrButtons.setBuildableSteps(this.inventoryCheck ? this.inventoryCheck.buildableSteps : undefined, this.currentStep);
     this.updatePLI(force);
     this.updateViewPort();
     this.updateCameraZoom();
@@ -309,6 +338,17 @@ LDR.InstructionsManager.prototype.updateUIComponents = function(force) {
     this.stepEditor && this.stepEditor.updateCurrentStep();
 }
 
+/*
+ * Check the model against an LDR.Inventory. Parts missing from the inventory are highlighted in the PLI, and the step number is marked for steps which cannot be built.
+ * Call with null to remove the check. Requires LDRInventory.js.
+ */
+LDR.InstructionsManager.prototype.setInventory = function(inventory) {
+    this.inventoryCheck = inventory ? new LDR.InventoryCheck(this.ldrLoader, inventory, {stepHandler:this.stepHandler}) : null;
+    this.pliBuilder.missingParts = inventory ? this.inventoryCheck.missingKeys : null;
+    this.updateUIComponents(true);
+    return this.inventoryCheck;
+}
+
 LDR.InstructionsManager.prototype.updatePLI = function(force) {
     let step = this.stepHandler.getCurrentStep();
     this.showPLI = ((ldrOptions.showEditor && this.canEdit) || ldrOptions.showPLI) && step.containsPartSubModels(this.ldrLoader);
@@ -481,8 +521,9 @@ LDR.InstructionsManager.prototype.realignModel = function(stepDiff, onRotated, o
         }
     }
     
+    let clock = this.clock;
     let animationID;
-    let startTime = new Date();
+    let startTime = clock.now();
     let animationTimeRotationMS = rotationChanges ? (2-ldrOptions.showStepRotationAnimations)*300 : 0; // First rotate, 
     let animationTimePositionMS = positionChanges ? (2-ldrOptions.showStepRotationAnimations)*150 : 0; // then move and zoom
     if(stepDiff != 0 && newLevel !== oldLevel && newLevel-oldLevel === stepDiff) {
@@ -492,11 +533,11 @@ LDR.InstructionsManager.prototype.realignModel = function(stepDiff, onRotated, o
     let animationTimeMS = animationTimePositionMS+animationTimeRotationMS;
     let lastPosition = oldPosition;
     function animate() {
-        animationID = requestAnimationFrame(animate);
+        animationID = clock.requestAnimationFrame(animate);
         
-        let diffMS = new Date() - startTime;
+        let diffMS = clock.now() - startTime;
         if(diffMS >= animationTimeMS) {
-            cancelAnimationFrame(animationID); 
+            clock.cancelAnimationFrame(animationID); 
             finalize();
             return; // Done.
         }
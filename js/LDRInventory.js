@@ -0,0 +1,315 @@
+'use strict';
+
+/*
+  Checking models against the parts of a collection.
+
+  LDR.Inventory holds the parts of a collection as imported from a BrickLink XML file or a Rebrickable CSV file.
+  Parts and colors are stored using the IDs of the catalog the inventory was imported from.
+
+  LDR.InventoryCheck compares the parts of a model counted by LDR.PartsBuilder with an inventory. The result lists the missing parts and how many steps of the building instructions can be built using the parts of the inventory.
+  LDraw part IDs are translated into the IDs of the catalog using LDR.PartIDMapping. Parts which are not in its table are looked up using their LDraw IDs,
+  so parts which are numbered differently by the catalog, but not listed in the table, are reported as missing.
+
+  Example:
+
+  let inventory = new LDR.Inventory();
+  inventory.parse(fileContent); // BrickLink XML or Rebrickable CSV.
+  let check = new LDR.InventoryCheck(loader, inventory);
+  check.missing.forEach(m => console.log(m.missing + ' x ' + m.partID + ' in color ' + m.colorID));
+  console.log('Buildable up to step ' + check.buildableSteps + ' of ' + check.totalSteps);
+
+  Requires LDRPartsBuilder.js, LDRPartsExport.js and LDRStepHandler.js.
+ */
+
+/*
+  'catalog' is 'bricklink' or 'rebrickable'. It is set when a file is imported.
+ */
+LDR.Inventory = function(catalog) {
+    this.catalog = catalog || 'bricklink';
+    this.items = {}; // ID_color -> quantity using the IDs of the catalog.
+}
+
+/*
+  Catalogs inventories can be imported from:
+  - table: Default table for the LDR.PartIDMapping of LDraw part IDs to the IDs of the catalog.
+  - getColor: Translates an LDraw color ID into the color of the catalog, or returns undefined if there is none.
+ */
+LDR.Inventory.CATALOGS = {
+    bricklink: {
+        table: LDR.PartIDMapping.BRICKLINK,
+        getColor: colorID => LDR.Colors[colorID] ? LDR.Colors[colorID].bricklink_id : undefined
+    },
+    rebrickable: {
+        table: LDR.PartIDMapping.REBRICKABLE,
+        getColor: colorID => LDR.Colors[colorID] ? colorID : undefined
+    }
+};
+
+LDR.Inventory.prototype.add = function(ID, color, quantity) {
+    let key = ('' + ID).toLowerCase() + '_' + color;
+    this.items[key] = (this.items[key] || 0) + quantity;
+}
+
+LDR.Inventory.prototype.get = function(ID, color) {
+    return this.items[('' + ID).toLowerCase() + '_' + color] || 0;
+}
+
+/*
+ * Import a BrickLink XML file or a Rebrickable CSV file. The format is detected from the content.
+ */
+LDR.Inventory.prototype.parse = function(text) {
+    if(text.trim().startsWith('<')) {
+        this.parseBrickLinkXML(text);
+    }
+    else {
+        this.parseRebrickableCSV(text);
+    }
+}
+
+/*
+ * Import a BrickLink XML file, such as a wanted list or an inventory download. Only parts (item type 'P') are imported.
+ */
+LDR.Inventory.prototype.parseBrickLinkXML = function(text) {
+    let doc = new DOMParser().parseFromString(text, 'text/xml');
+    let root = doc.documentElement;
+    if(!root || root.tagName !== 'INVENTORY') {
+        throw 'Not a BrickLink XML file';
+    }
+    this.catalog = 'bricklink';
+
+    function value(e, tagName) {
+        let elements = e.getElementsByTagName(tagName);
+        return elements.length > 0 ? elements[0].textContent.trim() : null;
+    }
+    let items = doc.getElementsByTagName('ITEM');
+    for(let i = 0; i < items.length; i++) {
+        let e = items[i];
+        let type = value(e, 'ITEMTYPE');
+        if(type && type !== 'P') {
+            continue; // Not a part.
+        }
+        let ID = value(e, 'ITEMID');
+        let color = parseInt(value(e, 'COLOR') || '0');
+        let quantity = parseInt(value(e, 'QTY') || value(e, 'MINQTY') || '1');
+        if(!ID || isNaN(color) || isNaN(quantity)) {
+            continue;
+        }
+        this.add(ID, color, quantity);
+    }
+}
+
+/*
+ * Import a Rebrickable CSV file with a header line naming the columns for part, color and quantity, such as 'Part,Color,Quantity'.
+ * Spare parts count as other parts.
+ */
+LDR.Inventory.prototype.parseRebrickableCSV = function(text) {
+    let rows = LDR.parseCSV(text);
+    if(rows.length === 0) {
+        return;
+    }
+    let header = rows[0].map(h => h.trim().toLowerCase());
+    function column() {
+        for(let i = 0; i < arguments.length; i++) {
+            let idx = header.indexOf(arguments[i]);
+            if(idx >= 0) {
+                return idx;
+            }
+        }
+        throw 'Missing column "' + arguments[0] + '" in CSV file';
+    }
+    let partIdx = column('part', 'part_num'), colorIdx = column('color', 'color_id'), quantityIdx = column('quantity', 'qty');
+    this.catalog = 'rebrickable';
+
+    for(let i = 1; i < rows.length; i++) {
+        let row = rows[i];
+        if(row.length <= Math.max(partIdx, colorIdx, quantityIdx)) {
+            continue; // Empty line.
+        }
+        let color = parseInt(row[colorIdx]), quantity = parseInt(row[quantityIdx]);
+        if(!row[partIdx] || isNaN(color) || isNaN(quantity)) {
+            continue;
+        }
+        this.add(row[partIdx].trim(), color, quantity);
+    }
+}
+
+/*
+ * Parse CSV content as created by LDR.toCSV(). Returns the rows as arrays of values.
+ */
+LDR.parseCSV = function(text) {
+    let rows = [], row = [], value = '', quoted = false;
+    for(let i = 0; i < text.length; i++) {
+        let c = text[i];
+        if(quoted) {
+            if(c === '"' && text[i+1] === '"') {
+                value += '"';
+                i++;
+            }
+            else if(c === '"') {
+                quoted = false;
+            }
+            else {
+                value += c;
+            }
+        }
+        else if(c === '"') {
+            quoted = true;
+        }
+        else if(c === ',') {
+            row.push(value);
+            value = '';
+        }
+        else if(c === '\n' || c === '\r') {
+            if(c === '\r' && text[i+1] === '\n') {
+                i++;
+            }
+            row.push(value);
+            rows.push(row);
+            row = [];
+            value = '';
+        }
+        else {
+            value += c;
+        }
+    }
+    if(value !== '' || row.length > 0) {
+        row.push(value);
+        rows.push(row);
+    }
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/*
+  Compare a model with an inventory.
+
+  options:
+  - mainModelID: The model to check. Defaults to the main model of the loader.
+  - mainModelColor: Default is 0.
+  - mapping: LDR.PartIDMapping for the catalog of the inventory. Defaults to the table of the catalog in LDR.Inventory.CATALOGS.
+  - stepHandler: LDR.StepHandler of the model for finding the buildable steps. One is created if none is given.
+
+  The results are:
+  - missing: [{key, partID, colorID, needed, owned, missing, reason, substitutes}] for the parts of the model which are not in the inventory.
+    'reason' is set for parts which cannot be mapped to the catalog.
+    'substitutes' lists [{colorID, available}] for the same part in other colors which are not used by the model.
+  - missingKeys: PLI key ('part ID without .dat'_'color ID') -> number of missing parts. Used by LDR.PLIBuilder for highlighting the missing parts.
+  - buildableSteps: The last step of the building instructions which can be built using the parts of the inventory. 0 if the first step cannot be built.
+  - totalSteps: Number of steps of the building instructions.
+ */
+LDR.InventoryCheck = function(loader, inventory, options) {
+    options = options || {};
+    this.loader = loader;
+    this.inventory = inventory;
+    this.catalog = LDR.Inventory.CATALOGS[inventory.catalog];
+    this.mapping = options.mapping || new LDR.PartIDMapping(this.catalog.table);
+    this.mainModelID = options.mainModelID || loader.mainModel;
+    this.mainModelColor = options.mainModelColor || 0;
+
+    this.builder = new LDR.PartsBuilder(loader, this.mainModelID, this.mainModelColor);
+    this.checkParts();
+
+    let stepHandler = options.stepHandler;
+    if(!stepHandler) {
+        let pd = new THREE.LDRPartDescription(this.mainModelColor, new THREE.Vector3(), new THREE.Matrix3(), this.mainModelID, true, false);
+        stepHandler = new LDR.StepHandler(null, null, loader, [pd], true, {});
+    }
+    this.checkSteps(stepHandler);
+}
+
+/*
+ * Returns {items:[{key, amount}]} with the keys of the inventory for one LDraw part in an LDraw color, or {reason} if the part cannot be mapped.
+ */
+LDR.InventoryCheck.prototype.map = function(partID, colorID) {
+    let color = this.catalog.getColor(colorID);
+    if(color === undefined) {
+        return {reason:'Unknown color'};
+    }
+    let mapped = this.mapping.map(partID);
+    if(!mapped.items) {
+        return mapped;
+    }
+    return {items:mapped.items.map(item => ({ID:('' + item.ID).toLowerCase(), key:('' + item.ID).toLowerCase() + '_' + color, amount:item.amount}))};
+}
+
+/*
+ * Take 'count' of a part from 'remaining'. Returns the number of parts which could be taken.
+ */
+LDR.InventoryCheck.prototype.take = function(remaining, mapped, count) {
+    let taken = count;
+    mapped.items.forEach(item => taken = Math.min(taken, Math.floor((remaining[item.key] || 0) / item.amount)));
+    mapped.items.forEach(item => remaining[item.key] = (remaining[item.key] || 0) - taken*item.amount);
+    return taken;
+}
+
+LDR.InventoryCheck.prototype.checkParts = function() {
+    let self = this;
+    let remaining = Object.assign({}, this.inventory.items);
+    let builder = this.builder;
+    this.missing = [];
+    this.missingKeys = {};
+
+    builder.pcKeys.forEach(key => {
+            let pc = builder.pcs[key];
+            let mapped = self.map(pc.partID, pc.colorID);
+            let owned = mapped.items ? self.take(remaining, mapped, pc.amount) : 0;
+            if(owned === pc.amount) {
+                return;
+            }
+            self.missing.push({key:key, partID:pc.partID, colorID:pc.colorID, needed:pc.amount, owned:owned, missing:pc.amount-owned,
+                               reason:mapped.reason, mapped:mapped, substitutes:[]});
+            self.missingKeys[key] = pc.amount-owned;
+        });
+
+    // Parts in other colors which are left over can be used as substitutes:
+    let colors = {}; // Color of the catalog -> LDraw color ID.
+    for(let colorID in LDR.Colors) {
+        if(LDR.Colors.hasOwnProperty(colorID) && !isNaN(colorID)) {
+            let color = this.catalog.getColor(colorID);
+            if(color !== undefined && !colors.hasOwnProperty(color)) {
+                colors[color] = parseInt(colorID);
+            }
+        }
+    }
+    this.missing.forEach(m => {
+            let mapped = m.mapped;
+            delete m.mapped;
+            if(!mapped.items || mapped.items.length !== 1) {
+                return;
+            }
+            let ID = mapped.items[0].ID;
+            for(let key in remaining) {
+                if(!remaining.hasOwnProperty(key) || remaining[key] <= 0 || key === mapped.items[0].key) {
+                    continue;
+                }
+                let idx = key.lastIndexOf('_');
+                let color = key.substring(idx+1);
+                if(key.substring(0, idx) === ID && colors.hasOwnProperty(color)) {
+                    m.substitutes.push({colorID:colors[color], available:Math.floor(remaining[key]/mapped.items[0].amount)});
+                }
+            }
+        });
+}
+
+/*
+ * Take the parts of each step of the building instructions from the inventory until a part is missing.
+ * The parts of a step are counted by LDR.PartsBuilder, which numbers the steps like 'stepHandler' does.
+ */
+LDR.InventoryCheck.prototype.checkSteps = function(stepHandler) {
+    let self = this;
+    let remaining = Object.assign({}, this.inventory.items);
+    this.totalSteps = stepHandler.totalNumberOfSteps;
+    this.buildableSteps = this.totalSteps;
+
+    for(let step = 1; step <= this.totalSteps; step++) {
+        let builder = new LDR.PartsBuilder(this.loader, this.mainModelID, this.mainModelColor, null, {first:step, last:step});
+        let buildable = builder.pcKeys.every(key => {
+                let pc = builder.pcs[key];
+                let mapped = self.map(pc.partID, pc.colorID);
+                return mapped.items && self.take(remaining, mapped, pc.amount) === pc.amount;
+            });
+        if(!buildable) {
+            this.buildableSteps = step-1;
+            return;
+        }
+    }
+}
@@ -0,0 +1,255 @@
+'use strict';
+
+/*
+  Flexible parts from LDCad path meta data. Specification: http://www.melkert.net/LDCad/tech/meta
+
+  LDCad stores hoses, rubber bands and strings as path meta data followed by the parts it generates from them:
+
+  0 !LDCAD PATH_POINT [type=XXX] [posOri=x y z a b c d e f g h i] [prevCPDist=d] [nextCPDist=d]
+  0 !LDCAD PATH_SKIN [color=c] [part=p] [ori=a b c d e f g h i] [len=l] [fill=stretch]
+  0 !LDCAD PATH_CAP [color=c] [part=p] [ori=a b c d e f g h i] [pos=start]
+  0 !LDCAD GENERATED [generator=...]
+  <generated parts>
+
+  When a file only contains the meta data, the parts are generated from it:
+  The path is a cubic Bezier curve through the path points. The curve leaves and enters a path point along the Y axis of its orientation.
+  Skin segments are placed along the curve with their Y axis following the curve. Caps are placed at the ends of the curve.
+ */
+LDR.LDCadPath = function() {
+    this.points = []; // {position, rotation, prevCPDist, nextCPDist}
+    this.skins = []; // {colorID, ID, ori, len, stretch}
+    this.caps = []; // {colorID, ID, ori, atStart, atEnd}
+    this.generated = false; // Set when the file already contains the generated parts.
+}
+
+LDR.LDCadPath.SAMPLES_PER_CURVE = 32;
+
+/*
+  Parse the '[key=value]' pairs of a '0 !LDCAD' line.
+ */
+LDR.LDCadPath.parseOptions = function(parts) {
+    let ret = {};
+    let re = /\[([^=\]]+)=([^\]]*)\]/g;
+    let line = parts.slice(3).join(' ');
+    let m;
+    while((m = re.exec(line)) !== null) {
+        ret[m[1]] = m[2].trim();
+    }
+    return ret;
+}
+
+LDR.LDCadPath.parseNumbers = function(s, count, name) {
+    let ret = (s || '').split(' ').filter(x => x !== '').map(parseFloat);
+    if(ret.length !== count || ret.some(isNaN)) {
+        throw 'Malformed "' + name + '" in LDCad path meta data';
+    }
+    return ret;
+}
+
+LDR.LDCadPath.parseRotation = function(s, name) {
+    let f = s === undefined ? [1, 0, 0, 0, 1, 0, 0, 0, 1] : LDR.LDCadPath.parseNumbers(s, 9, name);
+    let ret = new THREE.Matrix3();
+    ret.set(f[0], f[1], f[2], f[3], f[4], f[5], f[6], f[7], f[8]);
+    return ret;
+}
+
+LDR.LDCadPath.parseColorID = function(s) {
+    let ret = s === undefined ? 16 : parseInt(s);
+    if(isNaN(ret) || LDR.Colors[ret] === undefined) {
+        throw 'Unknown color "' + s + '" in LDCad path meta data';
+    }
+    return ret;
+}
+
+/*
+  Handle a '0 !LDCAD' line. 'parts' is the line split on spaces.
+  Throws an error message if the line is malformed. Lines not concerning paths are ignored.
+ */
+LDR.LDCadPath.prototype.parseLine = function(parts) {
+    let command = parts[2];
+    if(command === 'GENERATED') {
+        this.generated = true;
+        return;
+    }
+    if(command !== 'PATH_POINT' && command !== 'PATH_SKIN' && command !== 'PATH_CAP') {
+        return; // Not path meta data.
+    }
+
+    let options = LDR.LDCadPath.parseOptions(parts);
+    if(command === 'PATH_POINT') {
+        let f = LDR.LDCadPath.parseNumbers(options.posOri, 12, 'posOri');
+        let rotation = new THREE.Matrix3();
+        rotation.set(f[3], f[4], f[5], f[6], f[7], f[8], f[9], f[10], f[11]);
+        this.points.push({position: new THREE.Vector3(f[0], f[1], f[2]),
+                          rotation: rotation,
+                          prevCPDist: parseFloat(options.prevCPDist) || 0,
+                          nextCPDist: parseFloat(options.nextCPDist) || 0});
+        return;
+    }
+
+    if(!options.part) {
+        throw 'Missing part in LDCad ' + command;
+    }
+    let ID = options.part.toLowerCase().replace('\\', '/');
+    let colorID = LDR.LDCadPath.parseColorID(options.color);
+    let ori = LDR.LDCadPath.parseRotation(options.ori, 'ori');
+
+    if(command === 'PATH_SKIN') {
+        let len = parseFloat(options.len);
+        if(!(len > 0)) {
+            throw 'Missing or invalid segment length for the LDCad skin "' + ID + '"';
+        }
+        this.skins.push({colorID: colorID, ID: ID, ori: ori, len: len, stretch: options.fill !== 'fixed'});
+    }
+    else { // PATH_CAP:
+        let pos = options.pos;
+        this.caps.push({colorID: colorID, ID: ID, ori: ori, atStart: pos !== 'end', atEnd: pos !== 'start'});
+    }
+}
+
+LDR.LDCadPath.prototype.canGenerate = function() {
+    return !this.generated && this.points.length >= 2 && (this.skins.length > 0 || this.caps.length > 0);
+}
+
+/*
+  Sample the curve through the path points into a poly line.
+  Returns an array of {p, t} with p being the position and t the unit tangent.
+ */
+LDR.LDCadPath.prototype.sampleCurve = function() {
+    let points = this.points;
+    let tangents = points.map((point, i) => {
+            let y = new THREE.Vector3(); // Y axis of the point orientation.
+            let e = point.rotation.elements;
+            y.set(e[3], e[4], e[5]).normalize();
+
+            // Point the tangent along the path:
+            let d = new THREE.Vector3();
+            if(i < points.length-1) {
+                d.subVectors(points[i+1].position, point.position);
+            }
+            else {
+                d.subVectors(point.position, points[i-1].position);
+            }
+            if(y.dot(d) < 0) {
+                y.negate();
+            }
+            return y;
+        });
+
+    let ret = [];
+    const N = LDR.LDCadPath.SAMPLES_PER_CURVE;
+    for(let i = 0; i < points.length-1; i++) {
+        let p0 = points[i].position, p3 = points[i+1].position;
+        let dist = p0.distanceTo(p3);
+        let p1 = new THREE.Vector3(); p1.copy(tangents[i]).multiplyScalar(points[i].nextCPDist || dist/3).add(p0);
+        let p2 = new THREE.Vector3(); p2.copy(tangents[i+1]).multiplyScalar(-(points[i+1].prevCPDist || dist/3)).add(p3);
+        let curve = new THREE.CubicBezierCurve3(p0, p1, p2, p3);
+
+        for(let j = (i === 0 ? 0 : 1); j <= N; j++) {
+            let t = curve.getTangent(j/N);
+            if(t.lengthSq() === 0 || isNaN(t.x)) {
+                t = tangents[j === 0 ? i : i+1];
+            }
+            ret.push({p: curve.getPoint(j/N), t: t.normalize()});
+        }
+    }
+    return ret;
+}
+
+/*
+  Compute the orientation of each sample using parallel transport of the X axis of the first path point.
+  The Y axis of an orientation follows the curve.
+ */
+LDR.LDCadPath.prototype.computeFrames = function(samples) {
+    let e = this.points[0].rotation.elements;
+    let x = new THREE.Vector3(e[0], e[1], e[2]);
+
+    samples.forEach(sample => {
+            let t = sample.t;
+            // Remove the tangent component of x:
+            x.sub(t.clone().multiplyScalar(x.dot(t)));
+            if(x.lengthSq() < 1e-8) { // Choose any perpendicular vector:
+                x.set(1, 0, 0);
+                if(Math.abs(t.x) > 0.9) {
+                    x.set(0, 0, 1);
+                }
+                x.sub(t.clone().multiplyScalar(x.dot(t)));
+            }
+            x.normalize();
+            let z = new THREE.Vector3(); z.crossVectors(x, t);
+            sample.frame = new THREE.Matrix3();
+            sample.frame.set(x.x, t.x, z.x,
+                             x.y, t.y, z.y,
+                             x.z, t.z, z.z);
+        });
+}
+
+/*
+  Create the part descriptions of the skin segments and caps.
+ */
+LDR.LDCadPath.prototype.generate = function() {
+    let samples = this.sampleCurve();
+    this.computeFrames(samples);
+
+    // Accumulated lengths:
+    let lengths = [0];
+    for(let i = 1; i < samples.length; i++) {
+        lengths.push(lengths[i-1] + samples[i].p.distanceTo(samples[i-1].p));
+    }
+    let totalLength = lengths[lengths.length-1];
+
+    let sampleIdx = 0;
+    function sampleAt(length) { // Lengths are requested in increasing order for each skin.
+        while(sampleIdx < samples.length-1 && lengths[sampleIdx+1] <= length) {
+            sampleIdx++;
+        }
+        let a = samples[sampleIdx];
+        if(sampleIdx === samples.length-1) {
+            return [a.p, a.frame];
+        }
+        let l = lengths[sampleIdx+1] - lengths[sampleIdx];
+        let p = new THREE.Vector3();
+        p.lerpVectors(a.p, samples[sampleIdx+1].p, l > 0 ? (length - lengths[sampleIdx]) / l : 0);
+        return [p, a.frame];
+    }
+
+    function place(colorID, ID, position, frame, ori) {
+        let rotation = new THREE.Matrix3();
+        rotation.multiplyMatrices(frame, ori);
+        let pd = new THREE.LDRPartDescription(colorID, position, rotation, ID, true, false);
+        pd.ldcadGenerated = true;
+        return pd;
+    }
+
+    let ret = [];
+    this.skins.forEach(skin => {
+            let cnt = skin.stretch ? Math.max(1, Math.round(totalLength / skin.len)) : Math.ceil(totalLength / skin.len);
+            let segmentLength = skin.stretch ? totalLength / cnt : skin.len;
+            let scale = new THREE.Matrix3();
+            scale.set(1, 0, 0, 0, segmentLength / skin.len, 0, 0, 0, 1); // Stretch segments along the curve.
+            let ori = new THREE.Matrix3();
+            ori.multiplyMatrices(scale, skin.ori);
+
+            sampleIdx = 0;
+            for(let i = 0; i < cnt; i++) {
+                let [p, frame] = sampleAt(i * segmentLength);
+                ret.push(place(skin.colorID, skin.ID, p, frame, ori));
+            }
+        });
+
+    let first = samples[0], last = samples[samples.length-1];
+    let flip = new THREE.Matrix3(); // Caps at the end point back along the curve.
+    flip.set(1, 0, 0, 0, -1, 0, 0, 0, -1);
+    let lastFrame = new THREE.Matrix3();
+    lastFrame.multiplyMatrices(last.frame, flip);
+    this.caps.forEach(cap => {
+            if(cap.atStart) {
+                ret.push(place(cap.colorID, cap.ID, first.p.clone(), first.frame, cap.ori));
+            }
+            if(cap.atEnd) {
+                ret.push(place(cap.colorID, cap.ID, last.p.clone(), lastFrame, cap.ori));
+            }
+        });
+
+    return ret;
+}
@@ -0,0 +1,331 @@
+'use strict';
+
+/*
+  Import of LEGO Digital Designer (LDD) models.
+
+  An .lxf file is a ZIP archive containing an .lxfml file with the model:
+
+  <LXFML versionMajor="5" versionMinor="0" name="...">
+    <Bricks>
+      <Brick refID="0" designID="3001">
+        <Part refID="0" designID="3001" materials="21,0">
+          <Bone refID="0" transformation="1,0,0,0,1,0,0,0,1,0.4,0.96,-1.2"/>
+        </Part>
+      </Brick>
+    </Bricks>
+    <BuildingInstructions>
+      <BuildingInstruction name="...">
+        <Step>
+          <PartRef partRef="0"/>
+          <Step>...</Step> Nested steps build a sub assembly.
+        </Step>
+      </BuildingInstruction>
+    </BuildingInstructions>
+  </LXFML>
+
+  LDD design IDs and material IDs are mapped to LDraw part IDs and colors using LDR.LDDMapping.
+  LDD uses 1 unit = 10mm = 25 LDU (a brick is 0.8 units wide) with the Y axis pointing up, whereas LDraw has the Y axis pointing down.
+ */
+
+/*
+  Mapping from LDD to LDraw.
+  Material IDs are LEGO color IDs, so colors are mapped using 'lego_id' of LDR.Colors.
+  Design IDs are mapped to '<design ID>.dat' unless the mapping states otherwise.
+
+  The mapping can be extended using parse() with the content of 'ldraw.xml' which is shipped with LDD:
+
+  <Material ldraw="4" lego="21" />
+  <Brick ldraw="3001.dat" lego="3001" />
+  <Transformation ldraw="3001.dat" tx="0" ty="0.96" tz="0" ax="1" ay="0" az="0" angle="3.1415926535897931" />
+
+  A transformation takes LDraw part coordinates (in LDD units) into the coordinate system of the LDD part.
+  Parts without a transformation are turned upside down (angle=pi around the X axis) as LDraw has the Y axis pointing down.
+ */
+LDR.LDDMapping = function() {
+    let self = this;
+    this.materials = {}; // LDD material ID => LDraw color ID.
+    this.bricks = {}; // LDD design ID => LDraw part ID.
+    this.transformations = {}; // LDraw part ID => {rotation, translation}
+
+    LDR.Colors.forEach((color, colorID) => {
+            if(color.lego_id !== undefined && !self.materials.hasOwnProperty(color.lego_id)) {
+                self.materials[color.lego_id] = colorID;
+            }
+        });
+}
+
+LDR.LDDMapping.FLIP = new THREE.Matrix3();
+LDR.LDDMapping.FLIP.set(1, 0, 0, 0, -1, 0, 0, 0, -1); // LDD <=> LDraw.
+
+LDR.LDDMapping.LDU_PER_UNIT = 25; // 20 LDU / 0.8 LDD units.
+
+/*
+ * Add the mapping from LDD's 'ldraw.xml'. Entries take precedence over existing entries.
+ */
+LDR.LDDMapping.prototype.parse = function(xmlText) {
+    let self = this;
+    let doc = new DOMParser().parseFromString(xmlText, 'text/xml');
+    function each(tagName, f) {
+        let elements = doc.getElementsByTagName(tagName);
+        for(let i = 0; i < elements.length; i++) {
+            f(elements[i]);
+        }
+    }
+
+    each('Material', e => self.materials[e.getAttribute('lego')] = parseInt(e.getAttribute('ldraw')));
+    each('Brick', e => self.bricks[e.getAttribute('lego')] = e.getAttribute('ldraw').toLowerCase());
+    each('Transformation', e => {
+            let f = ['tx', 'ty', 'tz', 'ax', 'ay', 'az', 'angle'].map(a => parseFloat(e.getAttribute(a)));
+            if(f.some(isNaN)) {
+                return;
+            }
+            self.transformations[e.getAttribute('ldraw').toLowerCase()] = {
+                rotation: LDR.LDDMapping.axisAngleToMatrix(f[3], f[4], f[5], f[6]),
+                translation: new THREE.Vector3(f[0], f[1], f[2])
+            };
+        });
+}
+
+LDR.LDDMapping.axisAngleToMatrix = function(x, y, z, angle) {
+    let m4 = new THREE.Matrix4();
+    m4.makeRotationAxis(new THREE.Vector3(x, y, z).normalize(), angle);
+    let ret = new THREE.Matrix3();
+    ret.setFromMatrix4(m4);
+    return ret;
+}
+
+LDR.LDDMapping.prototype.getPartID = function(designID) {
+    return this.bricks[designID] || (designID + '.dat');
+}
+
+/*
+ * LDD parts can have a material per sub material. The first material is used for the LDraw part.
+ * Returns undefined if the material is unknown.
+ */
+LDR.LDDMapping.prototype.getColorID = function(materials) {
+    let ids = ('' + materials).split(',').filter(id => id !== '' && id !== '0');
+    return ids.length === 0 ? undefined : this.materials[ids[0]];
+}
+
+LDR.LDDMapping.prototype.getTransformation = function(partID) {
+    return this.transformations[partID] || {rotation: LDR.LDDMapping.FLIP, translation: new THREE.Vector3()};
+}
+
+/*
+  Import LDD models into the THREE.LDRLoader 'loader'.
+  The model becomes the main model of the loader. Sub assemblies from building instructions become sub models.
+  The LDraw parts are loaded by the loader, so onLoad() of the loader is called once the model is ready.
+
+  mapping is an optional LDR.LDDMapping.
+ */
+LDR.LXFImporter = function(loader, mapping) {
+    this.loader = loader;
+    this.mapping = mapping || new LDR.LDDMapping();
+}
+
+/*
+ * Import an .lxf or .lxfml file from a File, Blob or URL.
+ */
+LDR.LXFImporter.prototype.load = function(source) {
+    let self = this;
+    let loader = this.loader;
+    let name = source instanceof Blob ? source.name : source;
+    let fail = e => loader.fail({name:'LoadError', message:'Could not import "' + name + '": ' + (e.message || e)});
+    loader.unloadedFiles++; // Ensure onLoad() is not called before the model has been imported.
+
+    function onLXFML(text) {
+        loader.unloadedFiles--;
+        if(loader.aborted) {
+            return;
+        }
+        try {
+            self.importLXFML(text, name);
+        }
+        catch(e) {
+            fail(e);
+        }
+    }
+
+    if(name && name.toLowerCase().endsWith('.lxfml')) { // Not compressed:
+        if(source instanceof Blob) {
+            source.text().then(onLXFML, fail);
+        }
+        else {
+            loader.loader.load(source, onLXFML, undefined, () => fail('File not found'));
+        }
+        return;
+    }
+    let zip = new LDR.ZipLibrary();
+    zip.open(source).then(() => {
+            let path = Object.keys(zip.entries).find(path => path.endsWith('.lxfml'));
+            if(!path) {
+                throw 'No LXFML file in the archive';
+            }
+            return zip.decompress(zip.entries[path]);
+        }).then(buffer => onLXFML(new TextDecoder().decode(buffer))).catch(fail);
+}
+
+/*
+ * Create the part types for the model in the LXFML content 'text'.
+ * name is used for naming the main model if the LXFML does not name it.
+ */
+LDR.LXFImporter.prototype.importLXFML = function(text, name) {
+    let loader = this.loader;
+    let mapping = this.mapping;
+
+    let doc = new DOMParser().parseFromString(text, 'text/xml');
+    let root = doc.documentElement;
+    if(!root || root.tagName !== 'LXFML') {
+        throw 'Not an LXFML file';
+    }
+    function children(e, tagName) {
+        return Array.prototype.filter.call(e.childNodes, c => c.tagName === tagName);
+    }
+
+    // Model name:
+    name = root.getAttribute('name') || name || 'main';
+    name = name.substring(name.lastIndexOf('/')+1).replace(/\.(lxf|lxfml)$/i, '').toLowerCase();
+    let mainModelID = name + '.ldr';
+
+    // Parts:
+    let parts = {}; // refID => THREE.LDRPartDescription
+    let partsOfBricks = {}; // Brick refID => [Part refID]
+    let partOrder = []; // Part refIDs in file order.
+    let partElements = doc.getElementsByTagName('Part'); // Inside Brick elements from LXFML version 4. Directly in Parts before that.
+    for(let i = 0; i < partElements.length; i++) {
+        let part = partElements[i];
+        let brick = part.parentNode.tagName === 'Brick' ? part.parentNode : part;
+        let brickRefID = brick.getAttribute('refID');
+
+        let refID = part.getAttribute('refID');
+        let designID = part.getAttribute('designID') || brick.getAttribute('designID');
+        let ID = mapping.getPartID(designID);
+
+        let materials = part.getAttribute('materials') || part.getAttribute('materialID');
+        let colorID = mapping.getColorID(materials);
+        if(colorID === undefined) {
+            loader.onWarning({message:'Unknown LDD material "' + materials + '" of part ' + designID + ' is shown in the main color.'});
+            colorID = 16;
+        }
+
+        let [rotation, position] = this.getTransformation(part);
+        let t = mapping.getTransformation(ID);
+        // LDraw rotation: FLIP * R * T.rotation. Position: FLIP * (R * T.translation + position) in LDU:
+        let r = new THREE.Matrix3();
+        r.multiplyMatrices(LDR.LDDMapping.FLIP, rotation).multiply(t.rotation);
+        let p = t.translation.clone().applyMatrix3(rotation).add(position).applyMatrix3(LDR.LDDMapping.FLIP).multiplyScalar(LDR.LDDMapping.LDU_PER_UNIT);
+
+        parts[refID] = new THREE.LDRPartDescription(colorID, p, r, ID, true, false);
+        if(!partsOfBricks.hasOwnProperty(brickRefID)) {
+            partsOfBricks[brickRefID] = [];
+        }
+        partsOfBricks[brickRefID].push(refID);
+        partOrder.push(refID);
+    }
+
+    // Part types for the model and sub assemblies:
+    let partTypes = [];
+    function createPartType(ID, description) {
+        let pt = new THREE.LDRPartType();
+        pt.ID = ID;
+        pt.modelDescription = description;
+        if(loader.saveFileLines) {
+            pt.headerLines.push(new LDR.Line0('FILE ' + ID), new LDR.Line0(description), new LDR.Line0('Name: ' + ID));
+        }
+        partTypes.push(pt);
+        return pt;
+    }
+    let mainModel = createPartType(mainModelID, root.getAttribute('name') || name);
+
+    let used = {}; // refID => true for parts placed in a step.
+    function addPart(step, refID) {
+        let pd = parts[refID];
+        if(!pd || used[refID]) {
+            return;
+        }
+        used[refID] = true;
+        step.addSubModel(pd);
+        if(loader.saveFileLines) {
+            step.fileLines.push(new LDR.Line1(pd));
+        }
+    }
+
+    let identity = new THREE.Matrix3();
+    function addSteps(partType, stepElements) {
+        stepElements.forEach(stepElement => {
+                let step = new THREE.LDRStep();
+
+                // Nested steps form a sub assembly:
+                let subSteps = children(stepElement, 'Step');
+                if(subSteps.length > 0) {
+                    let sub = createPartType(name + '-' + partTypes.length + '.ldr', 'Sub assembly ' + partTypes.length);
+                    addSteps(sub, subSteps);
+                    if(sub.steps.length > 0) {
+                        let pd = new THREE.LDRPartDescription(16, new THREE.Vector3(), identity.clone(), sub.ID, true, false);
+                        step.addSubModel(pd);
+                        if(loader.saveFileLines) {
+                            step.fileLines.push(new LDR.Line1(pd));
+                        }
+                    }
+                }
+
+                children(stepElement, 'PartRef').forEach(e => addPart(step, e.getAttribute('partRef')));
+                children(stepElement, 'BrickRef').forEach(e => (partsOfBricks[e.getAttribute('brickRef')] || []).forEach(refID => addPart(step, refID)));
+                partType.addStep(step);
+            });
+    }
+
+    let buildingInstructions = doc.getElementsByTagName('BuildingInstruction');
+    if(buildingInstructions.length > 0) {
+        addSteps(mainModel, children(buildingInstructions[0], 'Step'));
+    }
+
+    // Parts not placed by building instructions are added in a final step:
+    let remaining = partOrder.filter(refID => !used[refID]);
+    if(remaining.length > 0) {
+        if(buildingInstructions.length > 0) {
+            loader.onWarning({message:remaining.length + ' parts are not in the building instructions of "' + name + '". They are added in the last step.'});
+        }
+        let step = new THREE.LDRStep();
+        remaining.forEach(refID => addPart(step, refID));
+        mainModel.addStep(step);
+    }
+
+    // Register the part types and load the LDraw parts:
+    loader.unloadedFiles++;
+    partTypes.forEach(pt => loader.partTypes[pt.ID] = pt);
+    loader.mainModel = mainModelID;
+    partOrder.forEach(refID => {
+            let ID = parts[refID].ID;
+            if(!loader.partTypes[ID]) {
+                loader.load(ID);
+            }
+        });
+    loader.unloadedFiles--;
+    loader.reportProgress(mainModelID);
+}
+
+/*
+ * Get [rotation, position] of an LXFML Part element in LDD coordinates.
+ * LXFML version 4 and later has the transformation on the first bone. Older versions use angle (degrees), axis and translation attributes.
+ */
+LDR.LXFImporter.prototype.getTransformation = function(part) {
+    let bone = part.getElementsByTagName('Bone')[0];
+    let transformation = bone ? bone.getAttribute('transformation') : part.getAttribute('transformation');
+    if(transformation) {
+        let f = transformation.split(',').map(parseFloat);
+        if(f.length !== 12 || f.some(isNaN)) {
+            throw 'Malformed transformation "' + transformation + '"';
+        }
+        // Rows are the transformed axes, as points are multiplied from the left:
+        let rotation = new THREE.Matrix3();
+        rotation.set(f[0], f[3], f[6],
+                     f[1], f[4], f[7],
+                     f[2], f[5], f[8]);
+        return [rotation, new THREE.Vector3(f[9], f[10], f[11])];
+    }
+
+    let f = ['ax', 'ay', 'az', 'angle', 'tx', 'ty', 'tz'].map(a => parseFloat(part.getAttribute(a)) || 0);
+    let rotation = f[3] === 0 ? new THREE.Matrix3() : LDR.LDDMapping.axisAngleToMatrix(f[0], f[1], f[2], f[3] / 180 * Math.PI);
+    return [rotation, new THREE.Vector3(f[4], f[5], f[6])];
+}
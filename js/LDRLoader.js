@@ -8,18 +8,23 @@
  * LDraw ID's are used for identifying colors efficiently. However. An LDraw color has both an ordinary value and an 'edge' value which can be used for rendering. In order to simplify the data model for storing geometries by colors, geometries colored in edge colors have '10.000' added to their ID's. An 'edge' color is thus identified by ID's being >= 10000 and the LDraw ID can be obtained by subtracting 10000.
  * This choice is internal to the loader and transparent to code that uses LDRLoader.
  *
- * onLoad is called on completion of loading of all necesasry LDraw files.
+ * onLoad is called on completion of loading of all necesasry LDraw files. onLoad can be left out when loadAsync() is used instead.
  * The optional options object has the following optional parameters:
  * - manager: Three.js loading manager. The default loading manager is used if none is present.
+ * - fileLoader: Used instead of THREE.FileLoader for loading files, such as LDR.ZipLibrary. It must have the load() function of THREE.FileLoader.
  * - onWarning(warningObj) is called when non-breaking errors are encountered, such as unknown colors and unsupported META commands.
  * - onProgress is called when a sub model has been loaded and will also be used by the manager.
  * - onError(errorObj) is called on breaking errors. errorObj has the following properties:
  *  - message: Human-readable error message.
  *  - line: Line number in the loaded file where the error occured.
  *  - subModel: THREE.LDRPartType in which the error occured.
+ *  Errors from loading files have the properties 'name' ('LoadError'), 'message', 'id', 'url' and 'status' (HTTP status code) instead.
  * - saveFileLines: Set to 'true' if LDR.Line0, LDR.Line1, ... LDR.Line5-objects should be saved on part types.
  * - idToUrl(id,top) is used to translate an id into a file location. Set this function to fit your own directory structure if needed. A normal LDraw directory has files both under /parts and /p and requires you to search for dat files. You can choose to combine the directories, but this is not considered good practice. The function takes two parameters:
  *  - id is the part id to be translated.
+ * - searchPath: LDR.SearchPath used for finding files in an unmodified LDraw library instead of using idToUrl and idToTextureUrl.
+ * - idToTextureUrl(id) is used to translate a texture file name from a !TEXMAP command into a file location. The default location is 'ldraw_parts/textures/'. Textures embedded in '0 !DATA' blocks are used instead when present.
+ * - textureLoader: Used instead of THREE.TextureLoader for loading textures, such as LDR.ZipTextureLoader. It must have the load() function of THREE.TextureLoader.
  */
 THREE.LDRLoader = function(onLoad, options) {
     let self = this;
@@ -37,23 +42,46 @@ THREE.LDRLoader = function(onLoad, options) {
                 partType.cleanUpSteps(self);
             }
         }
-        onLoad();
+        if(onLoad) {
+            onLoad();
+        }
+        if(self.pending) { // Resolve the Promise from loadAsync():
+            let pending = self.pending;
+            self.pending = null;
+            pending.resolve(self.partTypes);
+        }
     };
 
     options = options || {};
     this.onProgress = options.onProgress || function(){};
     this.onWarning = options.onWarning || function(msg){ console.warn(msg); };
     this.onError = options.onError || function(msgObj){ console.dir(msgObj); };
-    this.loader = new THREE.FileLoader(options.manager || THREE.DefaultLoadingManager);
+    this.loader = options.fileLoader || new THREE.FileLoader(options.manager || THREE.DefaultLoadingManager);
     this.saveFileLines = options.saveFileLines || false;
     this.mainModel;
 
+    this.requests = {}; // url => outstanding request. Stopped by abort().
+    this.aborted = false; // Set by abort(). Files which are loaded after this are ignored.
+    this.pending = null; // {resolve, reject} of the Promise returned by loadAsync().
+
+    this.searchPath = options.searchPath; // Optional LDR.SearchPath.
+    this.modelFolder; // Folder of the first top level model loaded. Searched for files when using a search path.
     this.idToUrl = options.idToUrl || function(id) {
 	if(!id.endsWith(".dat")){
 	    return id;
 	}
 	return "ldraw_parts/"+id.toLowerCase();
     };
+
+    this.texmapPlacements = []; // LDR.TexmapPlacement objects. Indexed by their 'idx'.
+    this.texmaps = {}; // texture key => THREE.Texture, or 'true' while loading. See getTextureKey().
+    this.textureLoader = options.textureLoader || new THREE.TextureLoader(options.manager || THREE.DefaultLoadingManager);
+    this.idToTextureUrl = options.idToTextureUrl || function(id) {
+	if(self.searchPath) {
+	    return self.searchPath.getTextureUrl(id);
+	}
+	return "ldraw_parts/textures/"+id.toLowerCase();
+    };
 }
 
 /*
@@ -63,11 +91,24 @@ THREE.LDRLoader = function(onLoad, options) {
  *
  * id is the file name to load.
  * top should be set to 'true' for top level model files, such as .ldr and .mpd files.
+ *
+ * When using a search path, the locations from it are tried in order until the file is found.
  */
 THREE.LDRLoader.prototype.load = function(id, top) {
     if(!top)
 	id = id.toLowerCase();
-    let url = this.idToUrl(id, top);
+    let urls;
+    if(this.searchPath && !top) {
+	urls = this.searchPath.getUrls(id.replace('\\', '/'), this.modelFolder);
+    }
+    else {
+	urls = [this.idToUrl(id, top)];
+	if(top && this.modelFolder === undefined) {
+	    this.modelFolder = urls[0].substring(0, urls[0].lastIndexOf('/')+1);
+	}
+    }
+    let urlIdx = 0; // Index in 'urls' of the location currently tried.
+    let url = urls[0];
     id = id.replace('\\', '/'); // Sanitize id. 
 
     if(this.partTypes[id]) { // Already loaded
@@ -80,14 +121,284 @@ THREE.LDRLoader.prototype.load = function(id, top) {
     self.partTypes[id] = true;
 
     let onFileLoaded = function(text) {
-	self.parse(text);
-	self.unloadedFiles--; // Warning - might have concurrency issue when two threads simultaneously update this!
+	delete self.requests[url];
+	if(self.aborted) {
+	    return;
+	}
+	if(self.searchPath && !top) {
+	    self.searchPath.onFound(id, url);
+	}
+	try {
+	    self.parse(text);
+	}
+	catch(e) { // Report malformed files rather than leaving the Promise of loadAsync() pending:
+	    self.fail({name:'ParseError', message:'Could not parse "' + id + '": ' + (e.message || e), id:id, url:url});
+	    return;
+	}
+	self.unloadedFiles--; // Callbacks are run one at a time, so the counter is only 0 once all files have been parsed.
 	self.reportProgress(id);
     }
+    let onFileError = function(event) {
+	delete self.requests[url];
+	if(self.aborted) {
+	    return; // Aborting causes outstanding requests to fail.
+	}
+	let status = event && event.target ? event.target.status : undefined;
+	if(status === 404 && urlIdx < urls.length-1) { // Not found - try the next location:
+	    urlIdx++;
+	    url = urls[urlIdx];
+	    loadUrl();
+	    return;
+	}
+	self.fail({name:'LoadError', message:'Could not load "' + id + '" from "' + urls.slice(0, urlIdx+1).join('", "') + '"', id:id, url:url, status:status});
+    }
+    function loadUrl() {
+	let request = self.loader.load(url, onFileLoaded, self.onProgress, onFileError);
+	if(request && request.abort) { // Requests for files which are already being loaded are shared and not returned.
+	    self.requests[url] = request;
+	}
+    }
     this.unloadedFiles++;
-    this.loader.load(url, onFileLoaded, self.onProgress, self.onError);
+    loadUrl();
 };
 
+/*
+ * Promise-based alternative to onLoad.
+ *
+ * source is either the id of a file to load, as for load(id, true), or a File or Blob, as for loadFile().
+ * signal is an optional AbortSignal. Aborting it calls abort().
+ *
+ * The Promise resolves with partTypes once all files have been loaded.
+ * It rejects with the error object from onError() if a file can not be loaded, or with {name:'AbortError', message} if loading is aborted.
+ */
+THREE.LDRLoader.prototype.loadAsync = function(source, signal) {
+    let self = this;
+    return new Promise(function(resolve, reject) {
+	if(self.pending) {
+	    reject({name:'InvalidStateError', message:'Loading is already in progress'});
+	    return;
+	}
+	if(self.aborted || (signal && signal.aborted)) {
+	    reject({name:'AbortError', message:'Loading has been aborted'});
+	    return;
+	}
+	let onAbort = () => self.abort();
+	function settle(f) { // Stop listening on the signal once the Promise is settled.
+	    return function(x) {
+		signal && signal.removeEventListener('abort', onAbort);
+		f(x);
+	    };
+	}
+	self.pending = {resolve:settle(resolve), reject:settle(reject)};
+	if(signal) {
+	    signal.addEventListener('abort', onAbort, {once:true});
+	}
+
+	try {
+	    if(source instanceof Blob) {
+		self.loadFile(source);
+	    }
+	    else {
+		self.load(source, true);
+	    }
+	}
+	catch(e) {
+	    self.fail({name:'Error', message:'' + e});
+	}
+    });
+};
+
+/*
+ * Stop all outstanding requests and ignore files loaded after this. The loader can not be used afterwards.
+ * A Promise from loadAsync() is rejected with {name:'AbortError', message}.
+ */
+THREE.LDRLoader.prototype.abort = function() {
+    if(this.aborted) {
+	return;
+    }
+    this.aborted = true;
+    for(let url in this.requests) {
+	if(this.requests.hasOwnProperty(url)) {
+	    this.requests[url].abort();
+	}
+    }
+    this.requests = {};
+    if(this.pending) {
+	let pending = this.pending;
+	this.pending = null;
+	pending.reject({name:'AbortError', message:'Loading has been aborted'});
+    }
+};
+
+/*
+ * Report a breaking error using onError() and reject the Promise from loadAsync().
+ */
+THREE.LDRLoader.prototype.fail = function(errorObj) {
+    this.onError(errorObj);
+    if(this.pending) {
+	let pending = this.pending;
+	this.pending = null;
+	pending.reject(errorObj);
+    }
+};
+
+/*
+ * Load a model from its content rather than from a location. Sub files are loaded as usual using idToUrl().
+ *
+ * text is the content of a ldr/mpd file.
+ * id is the name of the main model if not given by the content using a '0 FILE' or '0 Name:' line. 'main' is used if neither is present.
+ */
+THREE.LDRLoader.prototype.loadText = function(text, id) {
+    this.unloadedFiles++; // Ensure onLoad() is not called before the content has been parsed.
+    this.parse(text, id);
+    this.unloadedFiles--;
+    this.reportProgress(this.mainModel);
+};
+
+/*
+ * Load a model from a File, such as from an <input type="file"> element or by drag and drop, or from a Blob.
+ * The name of a File is used as name of the main model, as for loadText().
+ */
+THREE.LDRLoader.prototype.loadFile = function(file) {
+    let self = this;
+    let name = file.name; // Blobs do not have names.
+    let key = name || 'blob'; // Key in 'requests'.
+    let reader = new FileReader();
+
+    reader.onload = function() {
+	delete self.requests[key];
+	if(self.aborted) {
+	    self.unloadedFiles--;
+	    return;
+	}
+	try {
+	    self.parse(reader.result, name);
+	}
+	catch(e) { // Report malformed files rather than leaving the Promise of loadAsync() pending:
+	    self.unloadedFiles--;
+	    self.fail({name:'ParseError', message:'Could not parse "' + key + '": ' + (e.message || e), id:name});
+	    return;
+	}
+	self.unloadedFiles--; // As in loadText(): Only report progress once the content has been parsed.
+	self.reportProgress(self.mainModel);
+    }
+    reader.onerror = function() {
+	delete self.requests[key];
+	self.unloadedFiles--;
+	if(!self.aborted) {
+	    self.fail({name:'LoadError', message:'Could not read "' + key + '": ' + reader.error, id:name});
+	}
+    }
+    this.unloadedFiles++;
+    this.requests[key] = reader;
+    reader.readAsText(file);
+};
+
+/*
+ * Load color definitions, such as LDConfig.ldr, and add them to LDR.Colors, replacing existing colors with the same codes.
+ * LDR.Colors is shared by all loaders, so the colors are used by all models loaded afterwards.
+ * Call this before loading models using the colors. onColorsLoaded() is called once the colors are ready.
+ *
+ * url is the location of the file containing '0 !COLOUR' lines.
+ */
+THREE.LDRLoader.prototype.loadColors = function(url, onColorsLoaded) {
+    let self = this;
+    let onFileLoaded = function(text) {
+	LDR.Colors.parseColourLines(text, self.onWarning);
+	onColorsLoaded();
+    }
+    let onFileError = function(event) {
+	let status = event && event.target ? event.target.status : undefined;
+	self.onError({name:'LoadError', message:'Could not load colors from "' + url + '"', url:url, status:status});
+    }
+    this.loader.load(url, onFileLoaded, undefined, onFileError);
+}
+
+/*
+ * Register a texmap placement. The texture is loaded using loadTexmap() once the file has been parsed.
+ */
+THREE.LDRLoader.prototype.addTexmapPlacement = function(texmapPlacement) {
+    texmapPlacement.idx = this.texmapPlacements.length;
+    this.texmapPlacements.push(texmapPlacement);
+}
+
+/*
+ * Textures are cached by the object URL of their '0 !DATA' block when embedded, since blocks of different files can have the same name.
+ * Other textures are cached by their file name.
+ */
+THREE.LDRLoader.prototype.getTextureKey = function(texmapPlacement) {
+    let dataBlock = texmapPlacement.dataBlock;
+    return dataBlock && dataBlock.url ? dataBlock.url : texmapPlacement.file;
+}
+
+/*
+ * Start loading the texture of the texmap placement unless already loaded.
+ * Textures count as unloaded files, so onLoad() is not called before they are ready.
+ * Embedded '0 !DATA' blocks take precedence over files found using idToTextureUrl().
+ */
+THREE.LDRLoader.prototype.loadTexmap = function(texmapPlacement) {
+    let file = texmapPlacement.file;
+    let key = this.getTextureKey(texmapPlacement);
+    if(this.texmaps[key]) {
+	return; // Already loaded or loading.
+    }
+    let self = this;
+    self.texmaps[key] = true;
+    let dataBlock = texmapPlacement.dataBlock;
+
+    let onTextureLoaded = function(texture) {
+	dataBlock && dataBlock.revoke();
+	if(self.aborted) {
+	    return;
+	}
+	self.texmaps[key] = texture;
+	self.unloadedFiles--;
+	self.reportProgress(file);
+    }
+    let onTextureError = function() {
+	dataBlock && dataBlock.revoke();
+	if(self.aborted) {
+	    return;
+	}
+	self.onWarning({message:'Texture "' + file + '" could not be loaded. Texmapped parts will be shown without it.'});
+	self.texmaps[key] = LDR.TexmapPlacement.createEmptyTexture();
+	self.unloadedFiles--;
+	self.reportProgress(file);
+    }
+    let url = dataBlock && dataBlock.url ? dataBlock.url : this.idToTextureUrl(file);
+    this.unloadedFiles++;
+    this.textureLoader.load(url, onTextureLoaded, undefined, onTextureError);
+}
+
+/*
+ * Decode an embedded file from a '0 !DATA' block and add it to 'dataBlocks' (lower case name => LDR.DataBlock) of the file being parsed.
+ * The block is also added to the part type 'part' it follows, so that toLDR() writes it back out after that part type.
+ * Blocks which can not be decoded are kept so that they are written back out by toLDR().
+ */
+THREE.LDRLoader.prototype.addDataBlock = function(dataBlock, line, part, dataBlocks) {
+    let name = dataBlock.name.toLowerCase();
+    if(dataBlocks.hasOwnProperty(name)) {
+        this.onWarning({message:'The data block "' + dataBlock.name + '" is defined more than once. The first definition is used.', line:line, subModel:part});
+        return;
+    }
+    if(!dataBlock.decode()) {
+        this.onWarning({message:'The data block "' + dataBlock.name + '" could not be decoded.', line:line, subModel:part});
+    }
+    dataBlocks[name] = dataBlock;
+    part.dataBlocks.push(dataBlock);
+}
+
+/*
+ * Get the texture for the texmap placement with index 'idx'.
+ */
+THREE.LDRLoader.prototype.getTexmapTexture = function(idx) {
+    let texture = this.texmaps[this.getTextureKey(this.texmapPlacements[idx])];
+    if(!texture || texture === true) {
+	throw "Texture not loaded for texmap " + idx;
+    }
+    return texture;
+}
+
 /*
  * This function is called when a (sub)file has been loaded. 
  * Also. It will be called every time an unloaded subfile is encountered. 
@@ -108,8 +419,9 @@ THREE.LDRLoader.prototype.reportProgress = function(id) {
  * Primary parser for LDraw files.
  * 
  * data is the plain text file content.
+ * defaultID is the optional name of the main model. Used if the content does not name the main model.
  */
-THREE.LDRLoader.prototype.parse = function(data) {
+THREE.LDRLoader.prototype.parse = function(data, defaultID) {
     let parseStartTime = new Date();
 
     // BFC Parameters:
@@ -130,10 +442,42 @@ THREE.LDRLoader.prototype.parse = function(data) {
     }
     let toLoad = [];
 
+    // LDCad path meta data. Parts are generated when the model is closed, unless already present in the file:
+    let ldcadPath = null;
+    function generateLDCadPath() {
+	if(ldcadPath && ldcadPath.canGenerate()) {
+	    ldcadPath.generate().forEach(pd => {
+		step.addSubModel(pd);
+		toLoad.push(pd.ID);
+	    });
+	}
+	ldcadPath = null;
+    }
+
     // State information:
     let previousComment;
     let inHeader = true;
 
+    // TEXMAP state:
+    let texmapPlacement = null; // Set while a '0 !TEXMAP START' or '0 !TEXMAP NEXT' is in effect.
+    let inTexmapFallback = false; // Lines between '0 !TEXMAP FALLBACK' and '0 !TEXMAP END' are not shown.
+    let newTexmapPlacements = []; // Textures are loaded after parsing, so that textures from '0 !DATA' blocks at the end of the file are found.
+    let dataBlock = null; // LDR.DataBlock while reading the '0 !:' lines following '0 !DATA'.
+    let dataBlocks = {}; // lower case name => LDR.DataBlock. Embedded files of this file. Textures are only taken from these.
+
+    // LPub PLI state: Set by '0 !LPUB PLI BEGIN IGN' and '0 !LPUB PLI BEGIN SUB <part> <color>'. Reset by '0 !LPUB PLI END':
+    let pliIgnore = false;
+    let pliSubstitute = null;
+
+    // MLCad buffer exchange state: Buffer name => part descriptions of the model when '0 BUFEXCHG <buffer> STORE' was read:
+    let buffers = {};
+    function currentSubModels() { // Part descriptions currently in the model. Parts removed by buffer exchange are not included:
+	let ret = [];
+	part.steps.forEach(s => ret.push(...s.subModels));
+	ret.push(...step.subModels);
+	return ret.filter(pd => !pd.bufferRetrieve);
+    }
+
     let dataLines = data.split(/(\r\n)|\n/);
     for(let i = 0; i < dataLines.length; i++) {
 	let line = dataLines[i];
@@ -144,6 +488,58 @@ THREE.LDRLoader.prototype.parse = function(data) {
 	if(parts.length <= 1) {
 	    continue; // Empty/ empty comment line
         }
+
+	// Embedded files. The '0 !:' lines following '0 !DATA' hold the base64 encoded content:
+	if(dataBlock) {
+	    if(parts[0] === '0' && parts[1] === '!:') {
+		dataBlock.lines.push(parts.slice(2).join(' '));
+		continue;
+	    }
+	    this.addDataBlock(dataBlock, i, part, dataBlocks);
+	    dataBlock = null;
+	}
+	if(parts[0] === '0' && parts[1] === '!DATA') {
+	    dataBlock = new LDR.DataBlock(parts.slice(2).join(' '));
+	    continue;
+	}
+
+	// Handle TEXMAP geometry. File lines are kept unchanged as they have to be written back out using toLDR():
+	let saveFileLine = this.saveFileLines;
+	if(inTexmapFallback && !(parts[0] === '0' && parts[1] === '!TEXMAP' && parts[2] === 'END')) {
+	    // Fallback geometry is only for programs without TEXMAP support:
+	    if(saveFileLine) {
+		step.fileLines.push(new LDR.LineRaw(parts.join(' ')));
+	    }
+	    continue;
+	}
+	if(parts[0] === '0' && parts[1] === '!:') {
+	    if(saveFileLine) {
+		step.fileLines.push(new LDR.LineRaw(parts.join(' ')));
+		saveFileLine = false;
+	    }
+	    if(!texmapPlacement) {
+		this.onWarning({message:'Line with "0 !:" outside of a TEXMAP command is ignored.', line:i, subModel:part});
+		continue;
+	    }
+	    parts = parts.slice(2); // Parse the line without '0 !:'.
+	    if(parts.length <= 1) {
+		continue;
+	    }
+	}
+	// MLCad '0 GHOST <line>': The line is part of the shown model, but not of the parts lists:
+	let mlcadGhost = false;
+	if(parts[0] === '0' && parts[1] === 'GHOST') {
+	    if(saveFileLine) {
+		step.fileLines.push(new LDR.LineRaw(parts.join(' ')));
+		saveFileLine = false;
+	    }
+	    mlcadGhost = true;
+	    parts = parts.slice(2);
+	    if(parts.length <= 1) {
+		continue;
+	    }
+	}
+
 	let lineType = parseInt(parts[0]);
         let colorID;
 	if(lineType !== 0) {
@@ -197,6 +593,7 @@ THREE.LDRLoader.prototype.parse = function(data) {
 		self.mainModel = part.ID = fileName;
 	    }
 	    else { // Close model and start new:
+		generateLDCadPath();
 		if(part.steps.length === 0 && step.empty && part.ID && !part.consistentFileAndName) {
 		    console.log("Special case: Empty '" + part.ID + "' does not match '" + fileName + "' - Create new shallow part!");		
 		    // Create pseudo-model with just one of 'fileName' inside:
@@ -217,6 +614,7 @@ THREE.LDRLoader.prototype.parse = function(data) {
 		}
 		part = new THREE.LDRPartType();
                 inHeader = true;
+		buffers = {};
 		part.ID = fileName;
 	    }
 	}
@@ -271,23 +669,119 @@ THREE.LDRLoader.prototype.parse = function(data) {
 	    }
 	    else if(parts[1] === "ROTSTEP") {
 		if(parts.length >= 5) {
-		    step.rotation = new THREE.LDRStepRotation(parts[2], parts[3], parts[4], (parts.length === 5 ? "REL" : parts[5]));
+		    let rotation = new THREE.LDRStepRotation(parts[2], parts[3], parts[4], (parts.length === 5 ? "REL" : parts[5]));
+		    if(rotation.type === "ADD") {
+			rotation.previous = step.rotation; // Rotation carried over from the previous step.
+		    }
+		    step.rotation = rotation;
 		}
 		else if(parts.length === 3 && parts[2] === "END") {
 		    step.rotation = null;
 		}
 		closeStep(true);
 	    }
+	    else if(parts[1] === "!COLOUR") { // Colors are added to the global LDR.Colors, so they are also used by other models.
+		try {
+		    let codeIndex = parts.indexOf('CODE');
+		    let old = codeIndex > 0 ? LDR.Colors[parts[codeIndex+1]] : undefined;
+		    let code = LDR.Colors.parseColourLine(parts);
+		    if(old) {
+			console.warn('The color ' + code + ' is redefined by "' + part.ID + '". The new definition is used by all models.');
+		    }
+		}
+		catch(e) {
+		    self.onWarning({message:e + '. The color is ignored.', line:i, subModel:part});
+		}
+	    }
+	    else if((parts[1] === "!LPUB" || parts[1] === "LPUB") && parts[2] === "PLI") { // 'LPUB' without '!' is the old LPub syntax.
+		if(parts[3] === "BEGIN" && parts[4] === "IGN") {
+		    pliIgnore = true;
+		}
+		else if(parts[3] === "BEGIN" && parts[4] === "SUB" && parts.length >= 6) {
+		    let substituteID = parts[5].toLowerCase().replace('\\', '/');
+		    let substituteColorID = parts.length >= 7 ? parseInt(parts[6]) : 16;
+		    if(isNaN(substituteColorID) || LDR.Colors[substituteColorID] === undefined) {
+			self.onWarning({message:'Unknown color "' + parts[6] + '" for the PLI substitute "' + substituteID + '". The color of the substituted part is used.', line:i, subModel:part});
+			substituteColorID = 16;
+		    }
+		    pliSubstitute = {ID:substituteID, colorID:substituteColorID};
+		    toLoad.push(substituteID);
+		}
+		else if(parts[3] === "END") {
+		    pliIgnore = false;
+		    pliSubstitute = null;
+		}
+		// Other PLI meta commands only affect the layout in LPub.
+	    }
+	    else if(parts[1] === "BUFEXCHG" && parts.length === 4) {
+		// MLCad buffer exchange: RETRIEVE removes the parts added since the corresponding STORE. See LDR.StepHandler.
+		let buffer = parts[2];
+		if(parts[3] === "STORE") {
+		    buffers[buffer] = currentSubModels();
+		}
+		else if(parts[3] === "RETRIEVE") {
+		    if(!buffers.hasOwnProperty(buffer)) {
+			self.onWarning({message:'Buffer "' + buffer + '" is retrieved before being stored. The command is ignored.', line:i, subModel:part});
+		    }
+		    else {
+			let stored = buffers[buffer];
+			let retrieve = {buffer:buffer};
+			currentSubModels().filter(pd => !stored.includes(pd)).forEach(pd => pd.bufferRetrieve = retrieve);
+			step.bufferRetrieves.push(retrieve);
+			step.empty = false; // Keep the step, as parts disappear in it.
+		    }
+		}
+		else {
+		    self.onWarning({message:'Unknown buffer exchange command "' + parts[3] + '" is ignored.', line:i, subModel:part});
+		}
+	    }
+	    else if(parts[1] === "!LDCAD") {
+		if(!ldcadPath) {
+		    ldcadPath = new LDR.LDCadPath();
+		}
+		try {
+		    ldcadPath.parseLine(parts);
+		}
+		catch(e) {
+		    self.onWarning({message:e + '. The line is ignored.', line:i, subModel:part});
+		}
+	    }
 	    else if(parts[1] === "!BRICKHUB_INLINED") {
 		part.inlined = parts.length === 3 ? parts[2] : 'UNKNOWN';
 	    }
+	    else if(parts[1] === "!TEXMAP") {
+		let command = parts[2];
+		if(command === "START" || command === "NEXT") {
+		    if(texmapPlacement) {
+			self.onWarning({message:'New TEXMAP command before the previous was ended. The previous is ended now.', line:i, subModel:part});
+		    }
+		    texmapPlacement = new LDR.TexmapPlacement(parts.slice(2));
+		    if(texmapPlacement.error) {
+			self.onWarning({message:texmapPlacement.error + '. The texture is ignored.', line:i, subModel:part});
+			texmapPlacement = null;
+		    }
+		    else {
+			self.addTexmapPlacement(texmapPlacement);
+			newTexmapPlacements.push(texmapPlacement);
+		    }
+		}
+		else if(command === "FALLBACK") {
+		    inTexmapFallback = texmapPlacement !== null;
+		}
+		else if(command === "END") {
+		    texmapPlacement = null;
+		    inTexmapFallback = false;
+		}
+		else {
+		    self.onWarning({message:'Unknown TEXMAP command "' + command + '" is ignored.', line:i, subModel:part});
+		}
+	    }
 	    else if(parts[1][0] === "!") {
 		if(is("!HISTORY") ||
 		   is("!THEME") ||
 		   is("!HELP") ||
 		   is("!KEYWORDS") ||
 		   is("!LPUB") ||
-		   is("!LDCAD") ||
 		   is("!LEOCAD") ||
 		   is("!CATEGORY")) {
 		    // Ignore well known commands.
@@ -301,11 +795,8 @@ THREE.LDRLoader.prototype.parse = function(data) {
 		invertNext = false;
 		previousComment = line.substring(2);
 	    }
-	    
-	    // TODO: TEXMAP commands
-	    // TODO: Buffer exchange commands
 
-	    if(this.saveFileLines) {
+	    if(saveFileLine) {
                 let fileLine = new LDR.Line0(parts.slice(1).join(" "));
                 if(inHeader) {
                     part.headerLines.push(fileLine);
@@ -331,11 +822,15 @@ THREE.LDRLoader.prototype.parse = function(data) {
 							subModelID,
 							localCull,
 						        invertNext);
+	    subModel.texmapPlacement = texmapPlacement;
+	    subModel.pliIgnore = pliIgnore;
+	    subModel.pliSubstitute = pliSubstitute;
+	    subModel.mlcadGhost = mlcadGhost;
             step.addSubModel(subModel); // DAT part - no step.
             toLoad.push(subModelID);
 
             inHeader = false;
-	    if(this.saveFileLines) {
+	    if(saveFileLine) {
 		step.fileLines.push(new LDR.Line1(subModel));
             }
 	    invertNext = false;
@@ -346,7 +841,7 @@ THREE.LDRLoader.prototype.parse = function(data) {
 	    step.addLine(colorID, p1, p2);
 
             inHeader = false;
-	    if(this.saveFileLines) {
+	    if(saveFileLine) {
 		step.fileLines.push(new LDR.Line2(colorID, p1, p2));
             }
 	    invertNext = false;
@@ -358,14 +853,14 @@ THREE.LDRLoader.prototype.parse = function(data) {
 	    if(!part.certifiedBFC || !localCull)
 		step.cull = false; // Ensure no culling when step is handled.
 	    if(CCW === invertNext) {
-		step.addTrianglePoints(colorID, p3, p2, p1);
+		step.addTrianglePoints(colorID, p3, p2, p1, texmapPlacement);
 	    }
 	    else {
-		step.addTrianglePoints(colorID, p1, p2, p3);
+		step.addTrianglePoints(colorID, p1, p2, p3, texmapPlacement);
 	    }
 
             inHeader = false;
-	    if(this.saveFileLines) {
+	    if(saveFileLine) {
 		step.fileLines.push(new LDR.Line3(colorID, p1, p2, p3, localCull, CCW !== invertNext));
             }
 	    invertNext = false;
@@ -378,14 +873,14 @@ THREE.LDRLoader.prototype.parse = function(data) {
 	    if(!part.certifiedBFC || !localCull)
 		step.cull = false; // Ensure no culling when step is handled.
 	    if(CCW === invertNext) {
-		step.addQuadPoints(colorID, p4, p3, p2, p1);
+		step.addQuadPoints(colorID, p4, p3, p2, p1, texmapPlacement);
 	    }
 	    else {
-		step.addQuadPoints(colorID, p1, p2, p3, p4);
+		step.addQuadPoints(colorID, p1, p2, p3, p4, texmapPlacement);
 	    }
 
             inHeader = false;
-	    if(this.saveFileLines) {
+	    if(saveFileLine) {
 		step.fileLines.push(new LDR.Line4(colorID, p1, p2, p3, p4, localCull, CCW !== invertNext));
             }
 	    invertNext = false;
@@ -397,7 +892,7 @@ THREE.LDRLoader.prototype.parse = function(data) {
 	    p4 = new THREE.Vector3(parseFloat(parts[11]), parseFloat(parts[12]), parseFloat(parts[13]));
 	    step.addConditionalLine(colorID, p1, p2, p3, p4);
             inHeader = false;
-	    if(this.saveFileLines) {
+	    if(saveFileLine) {
 		step.fileLines.push(new LDR.Line5(colorID, p1, p2, p3, p4));
             }
 	    invertNext = false;
@@ -406,14 +901,23 @@ THREE.LDRLoader.prototype.parse = function(data) {
             self.onWarning({message:'Unknown command "' + parts[1] + '" is ignored.', line:i, subModel:part});
             break;
 	}
+
+	if(lineType !== 0 && texmapPlacement && texmapPlacement.nextOnly) {
+	    texmapPlacement = null; // '0 !TEXMAP NEXT' only applies to a single line.
+	}
     }
 
+    generateLDCadPath();
     part.addStep(step);
     if(part.ID === null && this.mainModel === undefined) {
-        part.ID = this.mainModel = 'main'; // No name given - use 'main'.
+        part.ID = this.mainModel = defaultID ? defaultID.toLowerCase().replace('\\', '/') : 'main'; // No name given - use 'main'.
     }
     this.partTypes[part.ID] = part;
 
+    if(dataBlock) {
+        this.addDataBlock(dataBlock, dataLines.length, part, dataBlocks);
+    }
+
     // Start loading the separate file immediately:
     toLoad.forEach(id => {
             let partType = self.partTypes[id];
@@ -421,13 +925,24 @@ THREE.LDRLoader.prototype.parse = function(data) {
                 self.load(id);
             }
         });
+    newTexmapPlacements.forEach(texmapPlacement => {
+            texmapPlacement.dataBlock = dataBlocks[texmapPlacement.file.toLowerCase()];
+            self.loadTexmap(texmapPlacement);
+        });
 
     let parseEndTime = new Date();
     //console.log("LDraw file read in " + (parseEndTime-parseStartTime) + "ms.");
 };
 
+/*
+ * Write all part types which are not inlined as an MPD file, starting with the main model.
+ * '0 !DATA' blocks are written after the part type they followed when loaded.
+ */
 THREE.LDRLoader.prototype.toLDR = function() {
-    let ret = this.partTypes[this.mainModel].toLDR();
+    function write(partType) {
+        return partType.toLDR() + partType.dataBlocks.map(dataBlock => dataBlock.toLDR()).join('');
+    }
+    let ret = write(this.partTypes[this.mainModel]);
     for(let modelName in this.partTypes) {
         if(!this.partTypes.hasOwnProperty(modelName)) {
             continue;
@@ -436,7 +951,7 @@ THREE.LDRLoader.prototype.toLDR = function() {
         if(partType === true || partType.inlined || partType.ID === this.mainModel) {
             continue;
         }
-        ret += partType.toLDR();
+        ret += write(partType);
     }
     return ret;
 }
@@ -460,6 +975,56 @@ THREE.LDRLoader.prototype.removeGeometries = function() {
     }
 }
 
+/*
+ * Search path for finding files in an unmodified LDraw library, such as the one in complete.zip from ldraw.org:
+ *
+ * new THREE.LDRLoader(onLoad, {searchPath: new LDR.SearchPath('ldraw/', 'ldraw/unofficial/')});
+ *
+ * Parts and primitives are looked for in the directories of 'directories' and then in the folder of the model.
+ * Sub models which are not .dat files are only looked for in the folder of the model.
+ * The location of a file found in the library is remembered, so it is used directly when the search path is shared by loaders.
+ *
+ * libraryUrl is the location of the LDraw library, including a trailing '/'.
+ * unofficialUrl is the optional location of a directory with unofficial files.
+ */
+LDR.SearchPath = function(libraryUrl, unofficialUrl) {
+    this.libraryUrl = libraryUrl;
+    this.directories = ['parts/', 'p/', 'parts/s/', 'p/48/', 'p/8/'].map(dir => libraryUrl + dir); // Can be changed to fit other layouts.
+    if(unofficialUrl) {
+	this.directories.push(unofficialUrl);
+    }
+    this.found = {}; // id => url where the file was found.
+}
+
+/*
+ * Get the locations to try for the file 'id' in order.
+ *
+ * modelFolder is the folder of the model being loaded, including a trailing '/'.
+ */
+LDR.SearchPath.prototype.getUrls = function(id, modelFolder) {
+    modelFolder = modelFolder || '';
+    if(!id.endsWith('.dat')) {
+	return [modelFolder + id];
+    }
+    if(this.found.hasOwnProperty(id)) {
+	return [this.found[id]];
+    }
+    return this.directories.map(dir => dir + id).concat([modelFolder + id]);
+}
+
+/*
+ * Remember the location of a part or primitive. Files found in the folder of a model are not remembered as other models might have other files by the same name.
+ */
+LDR.SearchPath.prototype.onFound = function(id, url) {
+    if(id.endsWith('.dat') && this.directories.some(dir => url === dir + id)) {
+	this.found[id] = url;
+    }
+}
+
+LDR.SearchPath.prototype.getTextureUrl = function(id) {
+    return this.libraryUrl + 'parts/textures/' + id.toLowerCase();
+}
+
 /*
   Part description: a part (ID) placed (position, rotation) with a
   given color (16/24 allowed) and invertCCW to allow for sub-parts in DAT-parts.
@@ -472,11 +1037,38 @@ THREE.LDRPartDescription = function(colorID, position, rotation, ID, cull, inver
     this.cull = cull;
     this.invertCCW = invertCCW;
     this.ghost = false; // For editor.
+    this.texmapPlacement = null; // LDR.TexmapPlacement in effect when the part was placed.
+    this.pliIgnore = false; // Set by LPub '0 !LPUB PLI BEGIN IGN' to keep the part out of parts lists.
+    this.pliSubstitute = null; // {ID, colorID} from LPub '0 !LPUB PLI BEGIN SUB <part> <color>'.
+    this.mlcadGhost = false; // Set for MLCad '0 GHOST' lines. Shown, but not listed in parts lists.
+    this.bufferRetrieve = null; // The MLCad '0 BUFEXCHG <buffer> RETRIEVE' removing this part from the model. See LDR.StepHandler.
+    this.ldcadGenerated = false; // Set for parts generated from LDCad path meta data. See LDR.LDCadPath.
+}
+
+/*
+  Get the part description to show in parts lists. This honours the LPub PLI meta commands:
+  Returns null if the part should not be shown, and a description of the substitute part if one is set.
+ */
+THREE.LDRPartDescription.prototype.getPLIPartDescription = function() {
+    if(this.pliIgnore || this.mlcadGhost) {
+        return null;
+    }
+    if(!this.pliSubstitute) {
+        return this;
+    }
+    let colorID = this.pliSubstitute.colorID === 16 ? this.colorID : this.pliSubstitute.colorID;
+    return new THREE.LDRPartDescription(colorID, this.position, this.rotation, this.pliSubstitute.ID, this.cull, this.invertCCW);
 }
 
 THREE.LDRPartDescription.prototype.cloneColored = function(colorID) {
-    return new THREE.LDRPartDescription(this.colorID === 16 ? colorID : this.colorID, this.position,
-                                        this.rotation, this.ID, this.cull, this.invertCCW);
+    let ret = new THREE.LDRPartDescription(this.colorID === 16 ? colorID : this.colorID, this.position,
+                                           this.rotation, this.ID, this.cull, this.invertCCW);
+    ret.texmapPlacement = this.texmapPlacement;
+    ret.pliIgnore = this.pliIgnore;
+    ret.pliSubstitute = this.pliSubstitute;
+    ret.mlcadGhost = this.mlcadGhost;
+    ret.bufferRetrieve = this.bufferRetrieve;
+    return ret;
 }
 
 THREE.LDRPartDescription.prototype.placedColor = function(pdColorID) {
@@ -492,7 +1084,10 @@ THREE.LDRPartDescription.prototype.placedColor = function(pdColorID) {
 }
 
 THREE.LDRPartDescription.prototype.toLDR = function() {
-    return '1 ' + this.colorID + ' ' + this.position.toLDR() + ' ' + this.rotation.toLDR() + ' ' + this.ID + '\n';
+    if(this.ldcadGenerated) {
+        return ''; // The LDCad meta data is written instead.
+    }
+    return (this.mlcadGhost ? '0 GHOST ' : '') + '1 ' + this.colorID + ' ' + this.position.toLDR() + ' ' + this.rotation.toLDR() + ' ' + this.ID + '\n';
 }
 
 THREE.LDRPartDescription.prototype.placeAt = function(pd) {
@@ -509,7 +1104,13 @@ THREE.LDRPartDescription.prototype.placeAt = function(pd) {
 
     let invert = this.invertCCW === pd.invertCCW;
 
-    return new THREE.LDRPartDescription(colorID, position, rotation, this.ID, this.cull, invert);
+    let ret = new THREE.LDRPartDescription(colorID, position, rotation, this.ID, this.cull, invert);
+    ret.texmapPlacement = this.texmapPlacement;
+    ret.pliIgnore = this.pliIgnore;
+    ret.pliSubstitute = this.pliSubstitute;
+    ret.mlcadGhost = this.mlcadGhost;
+    ret.bufferRetrieve = this.bufferRetrieve;
+    return ret;
 }
 
 THREE.LDRStepRotation = function(x, y, z, type) {
@@ -517,6 +1118,7 @@ THREE.LDRStepRotation = function(x, y, z, type) {
     this.y = parseFloat(y);
     this.z = parseFloat(z);
     this.type = type.toUpperCase();
+    this.previous = null; // For ADD: The rotation of the previous step which this rotation is added onto.
 }
 
 THREE.LDRStepRotation.equals = function(a, b) {
@@ -526,11 +1128,16 @@ THREE.LDRStepRotation.equals = function(a, b) {
 	return true;
     if(aNull !== bNull)
 	return false;
-    return (a.x === b.x) && (a.y === b.y) && (a.z === b.z) && (a.type === b.type);
+    if((a.x !== b.x) || (a.y !== b.y) || (a.z !== b.z) || (a.type !== b.type))
+	return false;
+    // Two ADD rotations are only the same when added onto the same rotation:
+    return a.type !== "ADD" || THREE.LDRStepRotation.equals(a.previous, b.previous);
 }
 
 THREE.LDRStepRotation.prototype.clone = function() {
-    return new THREE.LDRStepRotation(this.x, this.y, this.z, this.type);
+    let ret = new THREE.LDRStepRotation(this.x, this.y, this.z, this.type);
+    ret.previous = this.previous;
+    return ret;
 }
 
 THREE.LDRStepRotation.prototype.toLDR= function() {
@@ -587,8 +1194,9 @@ THREE.LDRStepRotation.prototype.getRotationMatrix = function(defaultMatrix) {
 	ret.multiplyMatrices(defaultMatrix, rotationMatrix);
     }
     else if(this.type === "ADD") {
-        throw "Unsupported rotation type: ADD!"
-	//ret.copy(currentMatrix).multiply(rotationMatrix);
+	// Multiply onto the accumulated rotation of the previous step. Without it ADD is the same as REL:
+	let previousMatrix = this.previous ? this.previous.getRotationMatrix(defaultMatrix) : defaultMatrix;
+	ret.multiplyMatrices(previousMatrix, rotationMatrix);
     }
     else { // this.type === ABS
 	ret.multiplyMatrices(THREE.LDRStepRotation.ABS, rotationMatrix);
@@ -604,12 +1212,13 @@ THREE.LDRStep = function() {
     this.subModels = [];
     this.lines = []; // {colorID, p1, p2}
     this.conditionalLines = []; // {colorID, p1, p2, p3, p4}
-    this.triangles = []; // {colorID, p1, p2, p3}
-    this.quads = []; // {colorID, p1, p2, p3, p4}
+    this.triangles = []; // {colorID, p1, p2, p3, texmapPlacement}
+    this.quads = []; // {colorID, p1, p2, p3, p4, texmapPlacement}
     this.rotation = null;
     this.cull = true;
     this.cnt = -1;
     this.fileLines = [];
+    this.bufferRetrieves = []; // MLCad '0 BUFEXCHG <buffer> RETRIEVE' commands in this step. Referenced by the removed part descriptions.
 }
 
 THREE.LDRStep.prototype.removePrimitivesAndSubParts = function() {
@@ -636,6 +1245,7 @@ THREE.LDRStep.prototype.cloneColored = function(colorID) {
     ret.cull = true;
     ret.cnt = this.cnt;
     ret.fileLines = this.fileLines;
+    ret.bufferRetrieves = this.bufferRetrieves;
 
     return ret;
 }
@@ -671,15 +1281,15 @@ THREE.LDRStep.prototype.addLine = function(c, p1, p2) {
     this.hasPrimitives = true;
     this.lines.push({colorID:c, p1:p1, p2:p2});
 }
-THREE.LDRStep.prototype.addTrianglePoints = function(c, p1, p2, p3) {
+THREE.LDRStep.prototype.addTrianglePoints = function(c, p1, p2, p3, texmapPlacement) {
     this.empty = false;
     this.hasPrimitives = true;
-    this.triangles.push({colorID:c, p1:p1, p2:p2, p3:p3});
+    this.triangles.push({colorID:c, p1:p1, p2:p2, p3:p3, texmapPlacement:texmapPlacement});
 }
-THREE.LDRStep.prototype.addQuadPoints = function(c, p1, p2, p3, p4) {
+THREE.LDRStep.prototype.addQuadPoints = function(c, p1, p2, p3, p4, texmapPlacement) {
     this.empty = false;
     this.hasPrimitives = true;
-    this.quads.push({colorID:c, p1:p1, p2:p2, p3:p3, p4:p4});
+    this.quads.push({colorID:c, p1:p1, p2:p2, p3:p3, p4:p4, texmapPlacement:texmapPlacement});
 }
 THREE.LDRStep.prototype.addConditionalLine = function(c, p1, p2, p3, p4) {
     this.empty = false;
@@ -732,10 +1342,11 @@ THREE.LDRStep.prototype.countParts = function(loader) {
   this.rotation = null;
  */
 THREE.LDRStep.prototype.cleanUp = function(loader, newSteps) {
-    if(this.empty || this.hasPrimitives) {
+    if(this.empty || this.hasPrimitives || this.subModels.length === 0) {
         newSteps.push(this);
-        return; // Primitive-containing or empty step - just keep existing.
+        return; // Primitive-containing, empty or buffer exchange-only step - just keep existing.
     }
+    let firstNewStep = newSteps.length;
 
     // Collect info:
     let self = this;
@@ -780,9 +1391,17 @@ THREE.LDRStep.prototype.cleanUp = function(loader, newSteps) {
     if(parts.length > 0) {
         push(parts);
     }
+
+    // Parts are removed by buffer exchange in the first of the new steps:
+    newSteps[firstNewStep].bufferRetrieves = this.bufferRetrieves;
+    let bufferExchangeLines = this.fileLines.filter(line => line.line0 && line.txt.startsWith('BUFEXCHG'));
+    newSteps[firstNewStep].fileLines.unshift(...bufferExchangeLines);
 }
 
-THREE.LDRStep.prototype.generateThreePart = function(loader, colorID, position, rotation, cull, invertCCW, mc) {
+/*
+  Set 'finalModel' to true when building a complete model, so that parts removed by MLCad buffer exchange are left out.
+ */
+THREE.LDRStep.prototype.generateThreePart = function(loader, colorID, position, rotation, cull, invertCCW, mc, finalModel) {
     //console.log("STEP: Creating three part for " + this.subModels.length + " sub models in color " + colorID + ", cull: " + cull + ", invertion: " + invertCCW);
     let ownInversion = (rotation.determinant() < 0) !== invertCCW; // Adjust for inversed matrix!
     let ownCull = cull && this.cull;
@@ -803,6 +1422,9 @@ THREE.LDRStep.prototype.generateThreePart = function(loader, colorID, position,
     }
     
     function handleSubModel(subModelDesc) {
+	if(finalModel && subModelDesc.bufferRetrieve) {
+	    return; // Not part of the finished model.
+	}
 	let subModelInversion = invertCCW !== subModelDesc.invertCCW;
 	let subModelCull = subModelDesc.cull && ownCull; // Cull only if both sub model, this step and the inherited cull info is true!
 
@@ -844,6 +1466,17 @@ LDR.Line0.prototype.toLDR = function() {
     return '0 ' + this.txt + '\n';
 }
 
+/*
+  A line which is written back out unchanged, such as TEXMAP geometry lines.
+ */
+LDR.LineRaw = function(txt) {
+    this.txt = txt;
+    this.lineRaw = true;
+}
+LDR.LineRaw.prototype.toLDR = function() {
+    return this.txt + '\n';
+}
+
 LDR.Line1 = function(desc) {
     this.desc = desc; // LDRPartDescription
     this.line1 = true;
@@ -936,6 +1569,7 @@ THREE.LDRPartType = function() {
     this.geometry;
     this.cnt = -1;
     this.cleanSteps = false;
+    this.dataBlocks = []; // LDR.DataBlock from '0 !DATA' blocks following this part type in an MPD file.
 }
 
 /*
@@ -981,19 +1615,6 @@ THREE.LDRPartType.prototype.addStep = function(step) {
     if(step.empty && this.steps.length === 0)
 	return; // Totally illegal step.
     
-    // Update rotation in case of ADD;
-    if(step.rotation && step.rotation.type === "ADD") {
-        if(!this.lastRotation) {
-            step.rotation.type = "REL";
-        }
-        else {
-            step.rotation = new THREE.LDRStepRotation(step.rotation.x + this.lastRotation.x,
-                                                      step.rotation.y + this.lastRotation.y,
-                                                      step.rotation.z + this.lastRotation.z,
-                                                      this.lastRotation.type);
-        }
-    }
-    
     let sameRotation = THREE.LDRStepRotation.equals(step.rotation, this.lastRotation);
     if(step.empty && sameRotation) {
 	return; // No change.
@@ -1019,7 +1640,7 @@ THREE.LDRPartType.prototype.generateThreePart = function(loader, c, p, r, cull,
 	}
 	else {
 	    for(let i = 0; i < this.steps.length; i++) {
-		this.steps[i].generateThreePart(loader, c, p, r, cull, inv, mc); // Build parts within.
+		this.steps[i].generateThreePart(loader, c, p, r, cull, inv, mc, true); // Build parts within.
 	    }
 	    return;
 	}
@@ -1076,6 +1697,31 @@ THREE.LDRPartType.prototype.generateThreePart = function(loader, c, p, r, cull,
 	if(!expanded) {
 	    let b = this.geometry.triangleGeometry.boundingBox;
 	    mc.expandBoundingBox(b, m4);
+	    expanded = true;
+	}
+    }
+
+    for(let idx in this.geometry.texmapGeometries) {
+	if(!this.geometry.texmapGeometries.hasOwnProperty(idx)) {
+	    continue;
+	}
+	let texmapGeometry = this.geometry.texmapGeometries[idx];
+	let texture = loader.getTexmapTexture(idx);
+	let isTrans = LDR.Colors.isTrans(c);
+	let material = mc.getTexmapMaterial(texmapGeometry.colorManager, c, idx, texture);
+	let mesh = new THREE.Mesh(texmapGeometry.geometry, material);
+	mesh.applyMatrix(m4);
+	if(isTrans) {
+	    mc.addTrans(mesh, pd);
+	}
+	else {
+	    mc.addOpaque(mesh, pd);
+	}
+
+	if(!expanded) {
+	    let b = texmapGeometry.geometry.boundingBox;
+	    mc.expandBoundingBox(b, m4);
+	    expanded = true;
 	}
     }
 }
@@ -1324,7 +1970,8 @@ LDR.GeometryBuilder.prototype.build = function(toBeBuilt) {
 	    delete partType.parents;
 
 	    partType.prepareGeometry(this.loader);
-	    if(partType.markToBeBuilt && objectStore && partType.inlined === "OFFICIAL") {
+	    // Geometries with texmaps reference the texmaps of this loader, so they are not stored:
+	    if(partType.markToBeBuilt && objectStore && partType.inlined === "OFFICIAL" && !partType.geometry.hasTexmaps()) {
 		let slimPartType = {
 		    ID:partType.ID,
 		    g:partType.geometry.pack(),
@@ -1364,6 +2011,7 @@ LDR.MeshCollector = function(opaqueObject, transObject) {
     this.cntMaterials = 0;
     this.lineMaterials = {}; // [color,isConditional] or cnt -> managers
     this.triangleMaterials = {}; // color or cnt -> managers
+    this.texmapMaterials = {}; // [color,texmapID] or cnt -> managers
 
     this.old = false;
     this.visible = true;
@@ -1409,6 +2057,26 @@ LDR.MeshCollector.prototype.getTriangleMaterial = function(colorManager, color,
     return m;
 }
 
+LDR.MeshCollector.prototype.getTexmapMaterial = function(colorManager, color, texmapID, texture) {
+    let len = colorManager.shaderColors.length;
+    let key;
+    if(len > 1) {
+	this.cntMaterials++;
+	key = this.cntMaterials;
+    }
+    else {
+	key = color + "|" + texmapID;
+    }
+
+    if(this.texmapMaterials.hasOwnProperty(key)) {
+	return this.texmapMaterials[key];
+    }
+
+    let m = new LDR.Colors.buildTexmapMaterial(colorManager, color, texture);
+    this.texmapMaterials[key] = m;
+    return m;
+}
+
 LDR.MeshCollector.prototype.addLines = function(mesh, part, conditional) {
     this.lineMeshes.push({mesh:mesh, part:part, opaque:true, conditional:conditional});
     this.opaqueObject.add(mesh);
@@ -1431,11 +2099,13 @@ LDR.MeshCollector.prototype.addTrans = function(mesh, part) {
 LDR.MeshCollector.prototype.updateMeshVisibility = function() {
     let v = this.visible;
     for(let i = 0; i < this.lineMeshes.length; i++) {
-	this.lineMeshes[i].mesh.visible = v;
+        let obj = this.lineMeshes[i];
+	obj.mesh.visible = v && !(obj.part && obj.part.bufferHidden); // Parts can be removed by buffer exchange. See LDR.StepHandler.
     }
     for(let i = 0; i < this.triangleMeshes.length; i++) {
         let obj = this.triangleMeshes[i];
-        obj.mesh.visible = v && (this.old || !(obj.part && obj.part.ghost && ldrOptions.showEditor)); // Do not show faces for ghosted parts.
+        obj.mesh.visible = v && !(obj.part && obj.part.bufferHidden) &&
+            (this.old || !(obj.part && obj.part.ghost && ldrOptions.showEditor)); // Do not show faces for ghosted parts.
     }
 }
 
@@ -1592,3 +2262,26 @@ LDR.MeshCollector.prototype.removeGhostedParts = function() {
 
     return [lineObjects,triangleObjects];
 }
+
+/*
+  Remove the meshes and release the materials of this mesh collector.
+  The geometries are shared with other mesh collectors through the part types, so they are kept.
+ */
+LDR.MeshCollector.prototype.dispose = function() {
+    let self = this;
+    this.lineMeshes.forEach(obj => self.opaqueObject.remove(obj.mesh));
+    this.triangleMeshes.forEach(obj => (obj.opaque ? self.opaqueObject : self.transObject).remove(obj.mesh));
+    this.lineMeshes = [];
+    this.triangleMeshes = [];
+
+    [this.lineMaterials, this.triangleMaterials, this.texmapMaterials].forEach(materials => {
+            for(let key in materials) {
+                if(materials.hasOwnProperty(key)) {
+                    materials[key].dispose();
+                }
+            }
+        });
+    this.lineMaterials = {};
+    this.triangleMaterials = {};
+    this.texmapMaterials = {};
+}
@@ -0,0 +1,189 @@
+'use strict';
+
+/*
+  Mosaics of 1x1 plates or tiles on baseplates generated from images.
+
+  The mosaic lies flat with the top row of the image at the smallest Z and is centered on X and Z.
+  The first step places the baseplates. The following steps place the mosaic row by row.
+
+  Example:
+
+  let loader = new THREE.LDRLoader(onLoad);
+  let mosaic = new LDR.Mosaic(loader, {width:48, dithering:true});
+  let ldr = mosaic.build(canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height));
+
+  onLoad() of the loader is called once the parts have been loaded.
+
+  options:
+  - width, height: Size in studs. If only one is given, the other follows the aspect ratio of the image. Defaults to the size of the image.
+  - colorIDs: LDraw colors to choose from. Defaults to the solid colors of LDR.Colors.getSolidColorIDs().
+  - dithering: Set to true for Floyd-Steinberg dithering.
+  - tiles: Set to true for using tiles instead of plates.
+  - baseplate: {ID, size, colorID} of the baseplate. Defaults to LDR.Mosaic.BASEPLATE. Set to null for no baseplate.
+  - rowsPerStep: Number of rows placed in each step. Defaults to 1.
+  - name: Name of the model. Defaults to 'mosaic.ldr'.
+ */
+LDR.Mosaic = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.width = options.width;
+    this.height = options.height;
+    this.colorIDs = options.colorIDs || LDR.Colors.getSolidColorIDs();
+    this.dithering = options.dithering || false;
+    this.partID = options.tiles ? LDR.Mosaic.TILE : LDR.Mosaic.PLATE;
+    this.baseplate = options.baseplate === undefined ? LDR.Mosaic.BASEPLATE : options.baseplate;
+    this.rowsPerStep = options.rowsPerStep || 1;
+    this.ID = options.name || 'mosaic.ldr';
+    this.grid; // Color ID for each stud (index x + y*width) or -1 for transparent pixels. Set by quantize().
+}
+
+LDR.Mosaic.PLATE = '3024.dat';
+LDR.Mosaic.TILE = '3070b.dat';
+LDR.Mosaic.BASEPLATE = {ID:'3811.dat', size:32, colorID:0};
+
+/*
+ * Compute the color of each stud. Pixels are averaged for each stud. Mostly transparent studs become -1.
+ */
+LDR.Mosaic.prototype.quantize = function(imageData) {
+    let W = imageData.width, H = imageData.height, data = imageData.data;
+    let w = this.width, h = this.height;
+    if(!w && !h) {
+        w = W;
+        h = H;
+    }
+    else if(!w) {
+        w = Math.max(1, Math.round(h * W / H));
+    }
+    else if(!h) {
+        h = Math.max(1, Math.round(w * H / W));
+    }
+    this.width = w;
+    this.height = h;
+
+    // Average the pixels of each stud:
+    let rgb = []; // [r, g, b] or null for transparent studs.
+    for(let y = 0; y < h; y++) {
+        let y0 = Math.floor(y*H/h), y1 = Math.max(y0+1, Math.floor((y+1)*H/h));
+        for(let x = 0; x < w; x++) {
+            let x0 = Math.floor(x*W/w), x1 = Math.max(x0+1, Math.floor((x+1)*W/w));
+            let r = 0, g = 0, b = 0, a = 0, cnt = 0;
+            for(let py = y0; py < y1; py++) {
+                for(let px = x0; px < x1; px++) {
+                    let i = 4*(px + py*W);
+                    r += data[i]; g += data[i+1]; b += data[i+2]; a += data[i+3];
+                    cnt++;
+                }
+            }
+            rgb.push(a/cnt < 128 ? null : [r/cnt, g/cnt, b/cnt]);
+        }
+    }
+
+    // Choose colors. Dithering spreads the error of each stud to the neighbours not yet handled:
+    let self = this;
+    let cache = {};
+    function nearest(c) {
+        let key = c.map(Math.round).join(',');
+        if(!cache.hasOwnProperty(key)) {
+            cache[key] = LDR.Colors.getNearestColorID(c, self.colorIDs);
+        }
+        return cache[key];
+    }
+    function spread(x, y, err, f) {
+        if(x < 0 || x >= w || y >= h || !rgb[x + y*w]) {
+            return;
+        }
+        let c = rgb[x + y*w];
+        for(let i = 0; i < 3; i++) {
+            c[i] = Math.min(255, Math.max(0, c[i] + err[i]*f));
+        }
+    }
+
+    this.grid = [];
+    for(let y = 0; y < h; y++) {
+        for(let x = 0; x < w; x++) {
+            let c = rgb[x + y*w];
+            if(!c) {
+                this.grid.push(-1);
+                continue;
+            }
+            let colorID = nearest(c);
+            this.grid.push(colorID);
+            if(this.dithering) {
+                let chosen = LDR.Colors.int2RGB(LDR.Colors[colorID].value);
+                let err = [c[0]-chosen[0], c[1]-chosen[1], c[2]-chosen[2]];
+                spread(x+1, y, err, 7/16);
+                spread(x-1, y+1, err, 3/16);
+                spread(x, y+1, err, 5/16);
+                spread(x+1, y+1, err, 1/16);
+            }
+        }
+    }
+    return this.grid;
+}
+
+/*
+ * Create the mosaic model in the loader and load the parts.
+ * Returns the LDraw content of the mosaic model.
+ */
+LDR.Mosaic.prototype.build = function(imageData) {
+    let loader = this.loader;
+    this.quantize(imageData);
+    let w = this.width, h = this.height;
+
+    let model = new THREE.LDRPartType();
+    model.ID = this.ID;
+    model.modelDescription = 'Mosaic ' + w + ' x ' + h;
+    model.headerLines.push(new LDR.Line0('FILE ' + model.ID), new LDR.Line0(model.modelDescription), new LDR.Line0('Name: ' + model.ID));
+
+    let step = new THREE.LDRStep();
+    function add(colorID, x, y, z, ID) {
+        let pd = new THREE.LDRPartDescription(colorID, new THREE.Vector3(x, y, z), new THREE.Matrix3(), ID, true, false);
+        step.addSubModel(pd);
+        step.fileLines.push(new LDR.Line1(pd));
+    }
+    let toLoad = [this.partID];
+
+    // Baseplates covering the mosaic. The top of the baseplates is at Y=0. The mosaic is centered on the baseplates:
+    if(this.baseplate) {
+        let size = this.baseplate.size;
+        let nx = Math.ceil(w/size), ny = Math.ceil(h/size);
+        let left = -w/2 - Math.floor((nx*size - w)/2), top = -h/2 - Math.floor((ny*size - h)/2);
+        for(let y = 0; y < ny; y++) {
+            for(let x = 0; x < nx; x++) {
+                add(this.baseplate.colorID, 20*(left + (x+0.5)*size), 0, 20*(top + (y+0.5)*size), this.baseplate.ID);
+            }
+        }
+        model.addStep(step);
+        step = new THREE.LDRStep();
+        toLoad.push(this.baseplate.ID);
+    }
+
+    // Rows:
+    for(let y = 0; y < h; y++) {
+        for(let x = 0; x < w; x++) {
+            let colorID = this.grid[x + y*w];
+            if(colorID >= 0) {
+                add(colorID, 20*(x + 0.5 - w/2), -8, 20*(y + 0.5 - h/2), this.partID);
+            }
+        }
+        if((y+1) % this.rowsPerStep === 0 || y === h-1) {
+            model.addStep(step);
+            step = new THREE.LDRStep();
+        }
+    }
+    let ldr = model.toLDR();
+
+    // Register the model and load the parts:
+    loader.unloadedFiles++;
+    loader.partTypes[model.ID] = model;
+    loader.mainModel = model.ID;
+    toLoad.forEach(ID => {
+            if(!loader.partTypes[ID]) {
+                loader.load(ID);
+            }
+        });
+    loader.unloadedFiles--;
+    loader.reportProgress(model.ID);
+
+    return ldr;
+}
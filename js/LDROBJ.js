@@ -0,0 +1,266 @@
+'use strict';
+
+/*
+  Export of models to Wavefront OBJ with materials in an accompanying MTL file.
+  Specifications: http://paulbourke.net/dataformats/obj/ and http://paulbourke.net/dataformats/mtl/
+
+  Each part placed in the model becomes a group named after the part ID, the step of the main model in which it is placed and a running number, such as 'g 3001.dat_step_2_15'.
+  Each color of LDR.Colors used becomes a material in the MTL file. Edge colors are named after their colors with '_Edge' appended.
+
+  Coordinates are in millimeters with Y being up, like in the renderer.
+
+  Example:
+
+  let exporter = new LDR.OBJExporter(loader, {lines:true});
+  let result = exporter.exportModel(null, 'model.mtl'); // {obj, mtl}
+
+  The geometries of the parts are built using LDR.GeometryBuilder if this has not already been done.
+
+  options:
+  - scale: Millimeters per LDU. Default is 0.4
+  - lines: Set to true to also export the lines of the parts as 'l' elements in the edge colors. Default is false.
+ */
+LDR.OBJExporter = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.scale = options.scale || 0.4;
+    this.lines = options.lines || false;
+}
+
+/*
+  Specular exponent and strength of the LDraw finishes:
+ */
+LDR.OBJExporter.FINISHES = {
+    CHROME: {Ns:400, Ks:0.9},
+    METAL: {Ns:200, Ks:0.7},
+    PEARLESCENT: {Ns:100, Ks:0.5},
+    RUBBER: {Ns:5, Ks:0.05}
+};
+LDR.OBJExporter.DEFAULT_FINISH = {Ns:50, Ks:0.2};
+
+/*
+ * Export the model 'ID' of the loader, or the main model if no ID is given.
+ * 'mtlFileName' is the name of the MTL file referenced by the OBJ file. Default is the ID of the model with '.mtl' as extension.
+ * Returns {obj, mtl} with the contents of the two files.
+ */
+LDR.OBJExporter.prototype.exportModel = function(ID, mtlFileName) {
+    let loader = this.loader;
+    ID = ID || loader.mainModel;
+    let pt = loader.partTypes[ID];
+    if(!pt || pt === true) {
+        throw 'Unknown model: ' + ID;
+    }
+    mtlFileName = mtlFileName || ID.replace(/\.[^.]*$/, '') + '.mtl';
+
+    // Ensure the parts have geometries:
+    let geometryBuilder = new LDR.GeometryBuilder(loader, {});
+    geometryBuilder.build(pt.isPart() ? (pt.geometry ? [] : [pt]) : geometryBuilder.getAllTopLevelToBeBuilt());
+
+    this.out = ['# ' + pt.ID + (pt.modelDescription ? ' - ' + pt.modelDescription : ''), 'mtllib ' + mtlFileName];
+    this.vertexCount = 0;
+    this.groupCount = 0;
+    this.colors = {}; // Color IDs of the used materials.
+
+    let s = this.scale;
+    let m = new THREE.Matrix4();
+    m.set(s, 0, 0, 0,
+          0, -s, 0, 0,
+          0, 0, -s, 0,
+          0, 0, 0, 1); // LDraw to Y being up.
+    if(pt.isPart()) {
+        this.addPart(pt, 16, m, false, 1);
+    }
+    else {
+        this.addSteps(pt, 16, m, false, 0);
+    }
+    this.out.push('');
+
+    return {obj: this.out.join('\n'), mtl: this.buildMTL()};
+}
+
+/*
+ * Add the parts of a model. 'step' is the step of the main model, or 0 when adding the main model itself.
+ */
+LDR.OBJExporter.prototype.addSteps = function(pt, colorID, m, invertCCW, step) {
+    let self = this;
+    pt.steps.forEach((s, idx) => s.subModels.forEach(pd => self.addPartDescription(pd, colorID, m, invertCCW, step || idx+1)));
+}
+
+LDR.OBJExporter.prototype.addPartDescription = function(pd, colorID, m, invertCCW, step) {
+    if(pd.bufferRetrieve) {
+        return; // Not part of the finished model.
+    }
+    let pt = this.loader.partTypes[pd.ID];
+    if(!pt || pt === true) {
+        this.loader.onWarning({message:'Unloaded sub model "' + pd.ID + '" is not exported.'});
+        return;
+    }
+    if(pt.replacement) {
+        pt = this.loader.partTypes[pt.replacement];
+    }
+
+    // Resolve the color of the part:
+    let c = pd.colorID;
+    if(c === 16) {
+        c = colorID;
+    }
+    else if(c === 24) {
+        c = colorID >= 10000 ? colorID : colorID + 10000;
+    }
+
+    let r = pd.rotation.elements, p = pd.position;
+    let local = new THREE.Matrix4();
+    local.set(r[0], r[3], r[6], p.x,
+              r[1], r[4], r[7], p.y,
+              r[2], r[5], r[8], p.z,
+              0, 0, 0, 1);
+    local.premultiply(m);
+
+    if(pt.isPart()) {
+        this.addPart(pt, c, local, invertCCW !== pd.invertCCW, step);
+    }
+    else {
+        this.addSteps(pt, c, local, invertCCW !== pd.invertCCW, step);
+    }
+}
+
+/*
+ * Write the vertices and faces of a part placed using the matrix 'm'.
+ */
+LDR.OBJExporter.prototype.addPart = function(pt, colorID, m, invertCCW, step) {
+    let g = pt.geometry;
+    if(!g || g.vertices.length === 0) {
+        return;
+    }
+    if(!g.cull) { // Add back faces:
+        let culled = new LDR.LDRGeometry();
+        culled.replaceWithDeep(g);
+        culled.ensureCull();
+        g = culled;
+    }
+    let out = this.out;
+    let self = this;
+
+    out.push('g ' + pt.ID.replace(/[\s\/\\]/g, '_') + '_step_' + step + '_' + (++this.groupCount));
+    let v = new THREE.Vector3();
+    g.vertices.forEach(p => {
+            v.set(p.x, p.y, p.z).applyMatrix4(m);
+            out.push('v ' + v.toLDR());
+        });
+
+    // Faces are reversed when the part is mirrored or inverted:
+    let invert = invertCCW !== (m.determinant() < 0);
+    let offset = this.vertexCount + 1; // OBJ indices start at 1.
+    function resolve(c) {
+        c = parseInt(c);
+        if(c === 16) {
+            return colorID;
+        }
+        if(c === 24) {
+            return colorID >= 10000 ? colorID : colorID + 10000;
+        }
+        return c;
+    }
+    function useMaterial(c) {
+        self.colors[c] = true;
+        out.push('usemtl ' + self.getMaterialName(c));
+    }
+    function face(indices) {
+        if(invert) {
+            indices.reverse();
+        }
+        out.push('f ' + indices.map(i => i + offset).join(' '));
+    }
+
+    // Group the primitives by resolved color:
+    let faces = {}, lines = {};
+    function add(map, c, indices) {
+        c = resolve(c);
+        if(!map.hasOwnProperty(c)) {
+            map[c] = [];
+        }
+        map[c].push(indices);
+    }
+    for(let c in g.triangles) {
+        if(g.triangles.hasOwnProperty(c)) {
+            g.triangles[c].forEach(t => add(faces, c, [t.p1, t.p2, t.p3]));
+        }
+    }
+    for(let c in g.quads) {
+        if(g.quads.hasOwnProperty(c)) {
+            g.quads[c].forEach(q => add(faces, c, [q.p1, q.p2, q.p3, q.p4]));
+        }
+    }
+    for(let idx in g.texmapTriangles) {
+        if(g.texmapTriangles.hasOwnProperty(idx)) {
+            g.texmapTriangles[idx].forEach(t => add(faces, t.c, [t.p1, t.p2, t.p3]));
+        }
+    }
+    if(this.lines) {
+        for(let c in g.lines) {
+            if(g.lines.hasOwnProperty(c)) {
+                g.lines[c].forEach(l => add(lines, c, [l.p1, l.p2]));
+            }
+        }
+    }
+
+    for(let c in faces) {
+        if(faces.hasOwnProperty(c)) {
+            useMaterial(c);
+            faces[c].forEach(face);
+        }
+    }
+    for(let c in lines) {
+        if(lines.hasOwnProperty(c)) {
+            useMaterial(c);
+            lines[c].forEach(l => out.push('l ' + (l[0] + offset) + ' ' + (l[1] + offset)));
+        }
+    }
+
+    this.vertexCount += g.vertices.length;
+}
+
+/*
+ * Colors of 10000 and above are the edge colors of the colors 10000 below.
+ */
+LDR.OBJExporter.prototype.getMaterialName = function(colorID) {
+    colorID = parseInt(colorID);
+    let edge = colorID >= 10000;
+    let color = LDR.Colors[edge ? colorID - 10000 : colorID];
+    return ((color && color.name) || ('Color_' + (edge ? colorID - 10000 : colorID))).replace(/\s/g, '_') + (edge ? '_Edge' : '');
+}
+
+/*
+ * Create the content of the MTL file with a material for each color used.
+ */
+LDR.OBJExporter.prototype.buildMTL = function() {
+    let ret = [];
+    for(let colorID in this.colors) {
+        if(!this.colors.hasOwnProperty(colorID)) {
+            continue;
+        }
+        colorID = parseInt(colorID);
+        let edge = colorID >= 10000;
+        let color = LDR.Colors[edge ? colorID - 10000 : colorID];
+        if(!color) {
+            this.loader.onWarning({message:'Unknown color ' + colorID + ' is exported as color 16.'});
+            color = LDR.Colors[16];
+        }
+        let [r, g, b] = LDR.Colors.int2RGB(edge ? (color.edge !== undefined ? color.edge : 0x333333) : color.value).map(x => LDR.convertFloat(x/255));
+        let finish = LDR.OBJExporter.FINISHES[color.material] || LDR.OBJExporter.DEFAULT_FINISH;
+        let alpha = (!edge && color.alpha) ? color.alpha/255 : 1;
+
+        ret.push('newmtl ' + this.getMaterialName(colorID));
+        ret.push('Ka 0 0 0');
+        ret.push('Kd ' + r + ' ' + g + ' ' + b);
+        ret.push('Ks ' + finish.Ks + ' ' + finish.Ks + ' ' + finish.Ks);
+        ret.push('Ns ' + finish.Ns);
+        if(!edge && color.luminance) { // Glowing colors:
+            ret.push('Ke ' + r + ' ' + g + ' ' + b);
+        }
+        ret.push('d ' + LDR.convertFloat(alpha));
+        ret.push('illum 2');
+        ret.push('');
+    }
+    return ret.join('\n');
+}
@@ -0,0 +1,307 @@
+'use strict';
+
+/*
+  Printable PDF building instructions created in the browser without any outside service.
+
+  LDR.PDFWriter writes PDF files with JPEG images, lines and text in the standard Helvetica fonts. Specification: https://www.adobe.com/devnet/pdf/pdf_reference_archive.html
+
+  LDR.InstructionsPDF walks all steps using LDR.StepRenderer and lays them out with several steps on each page.
+  Each step shows the step number, the PLI from LDR.PLIBuilder, the rendered model, the multiplier of sub models being built and the rotation hint when the model is rotated.
+  The first page is a cover page with the finished model and the last pages list all parts counted by LDR.PartsBuilder.
+
+  Example:
+
+  let pdf = new LDR.InstructionsPDF(loader, {columns:2, rows:3});
+  pdf.build(blob => saveAs(blob, 'instructions.pdf'), (step, total) => console.log('Step ' + step + ' of ' + total));
+
+  Requires LDRStepHandler.js, LDRStepRenderer.js, LDRMeasurer.js, RectanglePacking.js, LDRPLIBuilder.js and LDRPartsBuilder.js.
+ */
+
+/*
+  'width' and 'height' are the size of the pages in points (1/72 inch). Default is A4.
+ */
+LDR.PDFWriter = function(width, height) {
+    this.width = width || 595;
+    this.height = height || 842;
+    this.pages = [];
+    this.images = []; // {name, width, height, data} with 'data' as a binary string.
+}
+
+LDR.PDFWriter.prototype.addPage = function() {
+    let page = new LDR.PDFPage(this);
+    this.pages.push(page);
+    return page;
+}
+
+/*
+ * Add the content of a canvas as a JPEG image. Returns the name of the image for use in pages.
+ */
+LDR.PDFWriter.prototype.addImage = function(canvas, quality) {
+    let dataURL = canvas.toDataURL('image/jpeg', quality || 0.9);
+    let image = {name:'Im' + (this.images.length+1),
+                 width:canvas.width,
+                 height:canvas.height,
+                 data:atob(dataURL.substring(dataURL.indexOf(',')+1))};
+    this.images.push(image);
+    return image.name;
+}
+
+/*
+ * Approximate width of text in the Helvetica fonts.
+ */
+LDR.PDFWriter.textWidth = function(text, size) {
+    return ('' + text).length * size * 0.55;
+}
+
+/*
+ * Numbers in the content streams are rounded to two decimals.
+ */
+LDR.PDFWriter.num = function(x) {
+    return Math.round(x*100)/100;
+}
+
+/*
+ * Create the PDF file. Returns a Blob.
+ */
+LDR.PDFWriter.prototype.toBlob = function() {
+    let self = this;
+    let out = '%PDF-1.4\n%\xE2\xE3\xCF\xD3\n';
+    let offsets = [];
+    function add(obj) {
+        offsets.push(out.length);
+        out += offsets.length + ' 0 obj\n' + obj + '\nendobj\n';
+        return offsets.length;
+    }
+    function stream(dict, data) {
+        return '<< ' + (dict ? dict + ' ' : '') + '/Length ' + data.length + ' >>\nstream\n' + data + '\nendstream';
+    }
+
+    // Object numbers: 1: catalog, 2: page tree, 3 and 4: fonts, then images, then pages with their contents:
+    let firstPage = 5 + this.images.length;
+    add('<< /Type /Catalog /Pages 2 0 R >>');
+    add('<< /Type /Pages /Kids [' + this.pages.map((p, i) => (firstPage + 2*i) + ' 0 R').join(' ') + '] /Count ' + this.pages.length + ' >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+    add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+    let imageObjects = {}; // name -> object number.
+    this.images.forEach(image => {
+            imageObjects[image.name] = add(stream('/Type /XObject /Subtype /Image /Width ' + image.width + ' /Height ' + image.height +
+                                                  ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode', image.data));
+        });
+    this.pages.forEach((page, i) => {
+            let xObjects = page.images.map(name => '/' + name + ' ' + imageObjects[name] + ' 0 R').join(' ');
+            add('<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + self.width + ' ' + self.height + ']' +
+                ' /Resources << /Font << /F1 3 0 R /F2 4 0 R >> /XObject << ' + xObjects + ' >> >>' +
+                ' /Contents ' + (firstPage + 2*i + 1) + ' 0 R >>');
+            add(stream('', page.content.join('\n')));
+        });
+
+    let xref = out.length;
+    out += 'xref\n0 ' + (offsets.length+1) + '\n0000000000 65535 f \n';
+    offsets.forEach(offset => out += ('000000000' + offset).slice(-10) + ' 00000 n \n');
+    out += 'trailer\n<< /Size ' + (offsets.length+1) + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n';
+
+    let bytes = new Uint8Array(out.length);
+    for(let i = 0; i < out.length; i++) {
+        bytes[i] = out.charCodeAt(i) & 0xFF;
+    }
+    return new Blob([bytes], {type:'application/pdf'});
+}
+
+/*
+  A page of a PDF file. Coordinates are in points from the upper left corner of the page.
+ */
+LDR.PDFPage = function(writer) {
+    this.writer = writer;
+    this.content = []; // Lines of the content stream.
+    this.images = []; // Names of the images used.
+}
+
+/*
+ * Draw the content of a canvas with the upper left corner at (x, y).
+ */
+LDR.PDFPage.prototype.image = function(canvas, x, y, w, h, quality) {
+    let name = this.writer.addImage(canvas, quality);
+    this.images.push(name);
+    let n = LDR.PDFWriter.num;
+    this.content.push('q ' + n(w) + ' 0 0 ' + n(h) + ' ' + n(x) + ' ' + n(this.writer.height-y-h) + ' cm /' + name + ' Do Q');
+}
+
+/*
+ * Draw text with the baseline starting at (x, y). Characters outside of Latin-1 are replaced by '?'.
+ */
+LDR.PDFPage.prototype.text = function(text, x, y, size, bold) {
+    text = ('' + text).replace(/[^\x20-\xFF]/g, '?').replace(/[\\()]/g, c => '\\' + c);
+    let n = LDR.PDFWriter.num;
+    this.content.push('BT /F' + (bold ? 2 : 1) + ' ' + size + ' Tf ' + n(x) + ' ' + n(this.writer.height-y) + ' Td (' + text + ') Tj ET');
+}
+
+/*
+ * Draw the outline of a rectangle. 'color' is [r, g, b] with values from 0 to 1. Default is black.
+ */
+LDR.PDFPage.prototype.rect = function(x, y, w, h, lineWidth, color) {
+    color = color || [0, 0, 0];
+    let n = LDR.PDFWriter.num;
+    this.content.push('q ' + color.join(' ') + ' RG ' + (lineWidth || 1) + ' w ' + n(x) + ' ' + n(this.writer.height-y-h) + ' ' + n(w) + ' ' + n(h) + ' re S Q');
+}
+
+/*
+  options:
+  - columns, rows: Number of steps across and down each page. Default is 2 x 2.
+  - dpi: Resolution of the rendered steps. Default is 200.
+  - pageWidth, pageHeight: Size of the pages in points (1/72 inch). Default is A4.
+  - quality: JPEG quality of the rendered steps from 0 to 1. Default is 0.9.
+  - title: Title on the cover page. Defaults to the description of the model.
+  - storage: Storage used by LDR.GeometryBuilder. See ClientStorage.js.
+ */
+LDR.InstructionsPDF = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.columns = options.columns || 2;
+    this.rows = options.rows || 2;
+    this.dpi = options.dpi || 200;
+    this.pageWidth = options.pageWidth || 595;
+    this.pageHeight = options.pageHeight || 842;
+    this.quality = options.quality || 0.9;
+    this.title = options.title;
+    this.storage = options.storage;
+    this.margin = 36; // Half an inch.
+}
+
+/*
+ * Create the PDF. Rendering takes a while for large models, so the steps are rendered one at a time without blocking the page.
+ * onDone(blob) is called with the PDF file. onProgress(step, totalSteps) and onError(error) are optional. onError is called if a step cannot be rendered.
+ */
+LDR.InstructionsPDF.prototype.build = function(onDone, onProgress, onError) {
+    let self = this;
+    let loader = this.loader;
+    let pdf = new LDR.PDFWriter(this.pageWidth, this.pageHeight);
+    let m = this.margin;
+
+    // Layout of the steps. Each step is drawn onto a canvas of 'W' x 'H' pixels with the PLI in the upper part:
+    let cellW = (this.pageWidth - 2*m) / this.columns;
+    let cellH = (this.pageHeight - 2*m) / this.rows;
+    let s = this.dpi / 72; // Pixels per point.
+    let W = Math.round(cellW*s), H = Math.round(cellH*s);
+    let pliH = Math.round(H*0.3);
+    let fontSize = Math.round(Math.min(W, H)*0.08);
+    let pixelRatio = window.devicePixelRatio;
+
+    let cover = pdf.addPage();
+    let stepRenderer = new LDR.StepRenderer(loader, {width:W, height:H-pliH, storage:this.storage});
+    let pliBuilder = new LDR.PLIBuilder(loader, false, loader.mainModel, 0, document.createElement('canvas'), document.createElement('div'));
+    let canvas = document.createElement('canvas');
+    canvas.width = W;
+    canvas.height = H;
+    let context = canvas.getContext('2d');
+
+    let page, cell = this.columns*this.rows; // Index of the next step on the page.
+    function onStep(info, next) {
+        onProgress && onProgress(info.stepIndex, info.totalSteps);
+        if(cell === self.columns*self.rows) {
+            page = pdf.addPage();
+            cell = 0;
+        }
+        let x = m + (cell % self.columns)*cellW, y = m + Math.floor(cell / self.columns)*cellH;
+        cell++;
+
+        context.fillStyle = '#' + info.background;
+        context.fillRect(0, 0, W, H);
+        context.drawImage(info.canvas, 0, pliH);
+
+        // Step number, multiplier and rotation hint:
+        context.fillStyle = '#000';
+        context.font = 'bold ' + fontSize + 'px sans-serif';
+        context.fillText(info.stepIndex, fontSize*0.3, fontSize*1.1);
+        let pliX = context.measureText(info.stepIndex).width + fontSize*0.6;
+        if(info.multiplier > 1) {
+            context.fillText('x' + info.multiplier, W - context.measureText('x' + info.multiplier).width - fontSize*0.3, H - fontSize*0.3);
+        }
+        if(info.rotator) {
+            LDR.StepRenderer.drawRotator(context, W - fontSize, pliH + fontSize, fontSize*1.4);
+        }
+
+        function finish() {
+            page.image(canvas, x+2, y+2, cellW-4, cellH-4, self.quality);
+            page.rect(x+2, y+2, cellW-4, cellH-4, 0.5, [0.6, 0.6, 0.6]);
+            next();
+        }
+        if(!info.step.containsPartSubModels(loader)) {
+            finish(); // Steps placing sub models have no PLI.
+            return;
+        }
+        let pad = fontSize*0.3;
+        function drawPLI() {
+            let pli = pliBuilder.pliElement;
+            let f = Math.min(1, (W-pliX-pad)/pli.width, (pliH-2*pad)/pli.height);
+            context.fillStyle = '#FFF';
+            context.fillRect(pliX, pad, pli.width*f, pli.height*f);
+            context.drawImage(pli, pliX, pad, pli.width*f, pli.height*f);
+            context.strokeStyle = '#000';
+            context.lineWidth = Math.max(1, Math.round(s));
+            context.strokeRect(pliX, pad, pli.width*f, pli.height*f);
+        }
+        pliBuilder.drawPLIForStep(false, info.step, (W-pliX-pad)/pixelRatio - 20, (pliH-2*pad)/pixelRatio - 30, undefined, true, function() {
+                try {
+                    drawPLI();
+                }
+                catch(e) {
+                    next(e); // Errors in callbacks are not caught by the step renderer.
+                    return;
+                }
+                finish();
+            });
+    }
+
+    function onStepsDone() {
+        self.addCover(cover, stepRenderer);
+        self.addPartsList(pdf, pliBuilder);
+        pdf.pages.forEach((page, i) => i > 0 && page.text(i+1, self.pageWidth/2 - LDR.PDFWriter.textWidth(i+1, 9)/2, self.pageHeight - m/2, 9));
+        return pdf.toBlob();
+    }
+    stepRenderer.walkAndDispose(pliBuilder, onStep, onStepsDone, onDone, onError);
+}
+
+/*
+ * The cover page shows the title and the finished model. The step renderer is at the last step.
+ */
+LDR.InstructionsPDF.prototype.addCover = function(page, stepRenderer) {
+    let m = this.margin;
+    let pt = this.loader.partTypes[this.loader.mainModel];
+    let title = this.title || pt.modelDescription || pt.ID;
+    page.text(title, m, m + 28, 28, true);
+    page.text(stepRenderer.stepHandler.totalNumberOfSteps + ' steps', m, m + 50, 12);
+
+    let w = this.pageWidth - 2*m, h = this.pageHeight - 2*m - 70;
+    let s = this.dpi / 72;
+    stepRenderer.setSize(Math.round(w*s), Math.round(h*s));
+    stepRenderer.render();
+    page.image(stepRenderer.canvas, m, m + 70, w, h, this.quality);
+}
+
+/*
+ * List the parts of the model with icons rendered by the PLI builder.
+ */
+LDR.InstructionsPDF.prototype.addPartsList = function(pdf, pliBuilder) {
+    let m = this.margin;
+    let builder = new LDR.PartsBuilder(this.loader, this.loader.mainModel, 0);
+    let iconSize = 60, captionHeight = 22;
+    let columns = Math.floor((this.pageWidth - 2*m) / iconSize);
+    let rows = Math.floor((this.pageHeight - 2*m - 30) / (iconSize + captionHeight));
+    let px = Math.round(iconSize * this.dpi / 72 / window.devicePixelRatio); // renderIcon() takes the size before the pixel ratio.
+
+    let page;
+    builder.pcKeys.forEach((key, i) => {
+            let cell = i % (columns*rows);
+            if(cell === 0) {
+                page = pdf.addPage();
+                page.text('Parts', m, m + 20, 20, true);
+            }
+            let pc = builder.pcs[key];
+            let x = m + (cell % columns)*iconSize;
+            let y = m + 30 + Math.floor(cell / columns)*(iconSize + captionHeight);
+            pliBuilder.renderIcon(pc.partID, pc.colorID, px, px);
+            page.image(pliBuilder.renderer.domElement, x+2, y, iconSize-4, iconSize-4, this.quality);
+            page.text(pc.amount + 'x', x+2, y + iconSize + 6, 10, true);
+            page.text(pc.partID.replace(/\.dat$/, ''), x+2, y + iconSize + 16, 7);
+        });
+}
@@ -11,15 +11,17 @@ LDR.PLIBuilder = function(loader, canEdit, mainModelID, mainModelColor, pliEleme
     this.fillHeight = false;
     this.groupParts = true;
     this.clickMap;
+    this.missingParts = null; // PLI key -> number of parts missing from an inventory. See LDR.InventoryCheck.
 
     // Register for options changes:
     let self = this;
-    ldrOptions.listeners.push(function() {
+    this.onOptionsChanged = function() {
 	if(self.lastStep) {
 	    self.drawPLIForStep(self.fillHeight, self.lastStep,
 				self.lastMaxWidth, self.lastMaxHeight, 0, true);
 	}
-    });
+    };
+    ldrOptions.listeners.push(this.onOptionsChanged);
 
     // Set up rendering elements:
     this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0.1, 1000000);
@@ -35,6 +37,22 @@ LDR.PLIBuilder = function(loader, canEdit, mainModelID, mainModelColor, pliEleme
     pliRenderElement.appendChild(this.renderer.domElement);
 }
 
+/*
+ * Stop listening for options changes and release the WebGL context. Used when a PLI builder is only created for an export.
+ * The meshes of the icons are kept as they are shared through the part types with other PLI builders.
+ */
+LDR.PLIBuilder.prototype.dispose = function() {
+    let idx = ldrOptions.listeners.indexOf(this.onOptionsChanged);
+    if(idx >= 0) {
+        ldrOptions.listeners.splice(idx, 1);
+    }
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+    if(this.renderer.domElement.parentNode) {
+        this.renderer.domElement.parentNode.removeChild(this.renderer.domElement);
+    }
+}
+
 LDR.PLIBuilder.prototype.getPartType = function(id) {
     let pt = this.loader.partTypes[id];
     if(!pt.mesh) { // Ensure size is computed.
@@ -84,10 +102,15 @@ LDR.PLIBuilder.prototype.createClickMap = function(step) {
     let icons = {}; // key -> {key, partID, colorID, mult, desc}, key='part_id'_'color_id'
     this.clickMap = [];
     for(let i = 0; i < step.subModels.length; i++) {
-	let dat = step.subModels[i];
-        if(!this.loader.partTypes[dat.ID].isPart()) {
+	let original = step.subModels[i];
+        if(!this.loader.partTypes[original.ID].isPart()) {
             continue; // Do not show sub models.
         }
+        // Honour LPub PLI meta commands, except in the editor where all parts have to be shown:
+        let dat = this.groupParts ? original.getPLIPartDescription() : original;
+        if(!dat) {
+            continue;
+        }
 	let partID = dat.ID;
 	let colorID = dat.colorID;
 	let key = partID.endsWith('.dat') ? partID.substring(0, partID.length-4) : partID;
@@ -111,7 +134,7 @@ LDR.PLIBuilder.prototype.createClickMap = function(step) {
 		    dy: pt.dy,
 		    size: b.min.distanceTo(b.max),
 		    inlined: pt.inlined,
-                    part: dat, // Used by editor.
+                    part: original, // Used by editor.
 		   };
 	    icons[key] = icon;
 	    this.clickMap.push(icon);
@@ -129,13 +152,18 @@ LDR.PLIBuilder.prototype.createClickMap = function(step) {
     this.clickMap.sort(sorter);
 }
 
-LDR.PLIBuilder.prototype.drawPLIForStep = function(fillHeight, step, maxWidth, maxHeight, maxSizePerPixel, force) {
+/*
+ * Draw the PLI of a step onto the PLI element. The icons are drawn after a short delay in order to not block the page.
+ * 'onDrawn' is optional. It is called once the PLI element holds the drawn PLI, such as for copying it.
+ */
+LDR.PLIBuilder.prototype.drawPLIForStep = function(fillHeight, step, maxWidth, maxHeight, maxSizePerPixel, force, onDrawn) {
     let groupParts = !(this.canEdit && ldrOptions.showEditor);
     // Ensure no re-draw if not necessary:
     if(!force && 
        this.lastStep && this.lastStep.idx === step.idx && this.groupParts === groupParts &&
        this.lastMaxWidth === maxWidth && this.lastMaxHeight === maxHeight &&
        this.fillHeight === fillHeight) {
+        onDrawn && onDrawn();
 	return;
     }
     this.groupParts = groupParts;
@@ -202,6 +230,25 @@ LDR.PLIBuilder.prototype.drawPLIForStep = function(fillHeight, step, maxWidth, m
 	    y += 16*window.devicePixelRatio;
 	    context.fillText(icon.annotation, x, y);
 	}
+        // Highlight parts missing from the inventory. The counts are for the whole model, not just the current step:
+        if(self.missingParts) {
+            context.font = parseInt(14*window.devicePixelRatio) + "px sans-serif";
+            self.clickMap.forEach(icon => {
+                    let missing = self.missingParts[icon.key];
+                    if(!missing) {
+                        return;
+                    }
+                    const x = parseInt((icon.x+8)*window.devicePixelRatio);
+                    const y = parseInt((icon.y+5)*window.devicePixelRatio);
+                    const w = parseInt((icon.width)*window.devicePixelRatio);
+                    const h = parseInt((icon.height)*window.devicePixelRatio);
+                    context.strokeStyle = "#E22";
+                    context.lineWidth = '3';
+                    context.strokeRect(x, y, w, h);
+                    context.fillStyle = "#E22";
+                    context.fillText(missing + " missing in model", x + 3*window.devicePixelRatio, y + 15*window.devicePixelRatio);
+                });
+        }
         // Draw highlight:
         if(ldrOptions.showEditor) {
             self.clickMap.forEach(icon => {
@@ -217,6 +264,7 @@ LDR.PLIBuilder.prototype.drawPLIForStep = function(fillHeight, step, maxWidth, m
                     context.strokeRect(x, y, w, h);
                 });
         }
+        onDrawn && onDrawn();
     }
     setTimeout(delay, 10); // Ensure not blocking
 }
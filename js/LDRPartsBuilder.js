@@ -2,19 +2,24 @@
 
 /*
   The LDRPartsBuilder is used for displaying parts list image icons for LEGO models.
+
+  The parts of a sub model are counted by using its ID as mainModelID.
+  'steps' can be set to {first, last} in order to only count the parts added in these steps. Steps are numbered as in the building instructions shown by LDR.StepHandler, starting from 1.
 */
 var LDR = LDR || {};
 
-LDR.PartsBuilder = function(loader, mainModelID, mainModelColor, onBuiltPart) {
+LDR.PartsBuilder = function(loader, mainModelID, mainModelColor, onBuiltPart, steps) {
     this.loader = loader;
     this.mainModelID = mainModelID;
     this.mainModelColor = mainModelColor;
+    this.steps = steps;
 
     this.pcs = {}; // partID_colorID -> PartAndColor objects
     this.pcKeys = []; // Used for lookup and sorting.
     
     const pcs = this.pcs;
     const pcKeys = this.pcKeys;
+    let stepIndex = 1; // Step number as shown in the building instructions.
 
     function build(multiplier, partID, colorID) {
 	if(colorID == 16) {
@@ -26,10 +31,22 @@ LDR.PartsBuilder = function(loader, mainModelID, mainModelColor, onBuiltPart) {
             if(step.containsNonPartSubModels(loader)) {
 		let ldr = step.subModels[0];
 		build(multiplier*step.subModels.length, ldr.ID, ldr.colorID == 16 ? colorID : ldr.colorID);
+                stepIndex++; // Step placing the sub models.
                 return;
 	    }
+            let inRange = !steps || (stepIndex >= steps.first && stepIndex <= steps.last);
+            stepIndex++;
+            if(!inRange) {
+                return;
+            }
             for(let j = 0; j < step.subModels.length; j++) {
-                let dat = step.subModels[j];
+                if(step.subModels[j].bufferRetrieve) {
+                    continue; // Removed again by MLCad buffer exchange. Not part of the finished model.
+                }
+                let dat = step.subModels[j].getPLIPartDescription(); // Honour LPub PLI meta commands.
+                if(!dat) {
+                    continue;
+                }
                 let datColorID = dat.colorID == 16 ? colorID : dat.colorID;
                 // Key consists of ID (without .dat) '_', and color ID
                 let key = dat.ID.endsWith('.dat') ? dat.ID.substring(0, dat.ID.length-4) : dat.ID;
@@ -62,6 +79,7 @@ LDR.PartsBuilder = function(loader, mainModelID, mainModelColor, onBuiltPart) {
 LDR.PartAndColor = function(key, part, colorID, loader) {
     this.key = key;
     this.part = part;
+    this.partID = part.ID;
     this.colorID = colorID;
     this.loader = loader;
 
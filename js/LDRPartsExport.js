@@ -0,0 +1,225 @@
+'use strict';
+
+/*
+  Parts lists for ordering the parts of a model. The lists are built from the counts of LDR.PartsBuilder.
+
+  LDraw part IDs mostly match the IDs of the part stores, but not always:
+  - Printed parts have LDraw IDs like '3626bp01', which rarely match the IDs of the stores.
+  - Assemblies can be a single part in one catalog and several parts in another.
+  - Some parts have been renumbered.
+
+  LDR.PartIDMapping translates LDraw part IDs using a table of the known differences.
+  Parts which cannot be translated are listed separately, so that they can be found by hand.
+  Parts which are not in the table are passed through with their LDraw IDs unchanged. The tables included here only list a few common differences,
+  so the IDs of other parts can be wrong for the catalog without being reported.
+
+  The lists are:
+  - LDR.BrickLinkWantedList: BrickLink wanted list XML.
+  - LDR.RebrickableList: Rebrickable 'Part,Color,Quantity' CSV.
+  - LDR.LEGOElementList: LEGO design IDs and colors as CSV for LEGO Pick a Brick.
+
+  Example:
+
+  let builder = new LDR.PartsBuilder(loader, loader.mainModel, 0);
+  let wantedList = new LDR.BrickLinkWantedList(builder);
+  let xml = wantedList.toXML();
+  wantedList.unmapped.forEach(item => console.log(item.partID + ' in color ' + item.colorID + ': ' + item.reason));
+
+  Lists for a sub model or for some of the steps are made from an LDR.PartsBuilder for these:
+
+  let subModelBuilder = new LDR.PartsBuilder(loader, 'wing.ldr', 0);
+  let stepsBuilder = new LDR.PartsBuilder(loader, loader.mainModel, 0, null, {first:1, last:10});
+  let csv = new LDR.RebrickableList(stepsBuilder).toCSV();
+ */
+
+/*
+  'table' maps LDraw part IDs without '.dat' to either:
+  - The ID of the part in the catalog.
+  - null for parts which are not in the catalog.
+  - [{ID, amount}] for parts which are several parts in the catalog.
+
+  options:
+  - patterns: How to handle printed parts which are not in the table. 'unmapped' (default) to list them as unmapped, or 'base' to use the unprinted part.
+ */
+LDR.PartIDMapping = function(table, options) {
+    options = options || {};
+    this.table = table || {};
+    this.patterns = options.patterns || 'unmapped';
+}
+
+/*
+  Known differences between LDraw and BrickLink part IDs.
+  The table only covers a few common parts. Other parts are passed through unchanged. Printed parts are mostly numbered differently by BrickLink ('3626bpb0001' rather than '3626bp01'), so only the printed parts which keep their LDraw IDs are listed.
+  Further differences can be handled by creating the LDR.PartIDMapping with an extended copy of the table: new LDR.PartIDMapping(Object.assign({}, LDR.PartIDMapping.BRICKLINK, extraTable))
+ */
+LDR.PartIDMapping.BRICKLINK = {
+    '3794b': '15573', // Plate 1 x 2 with 1 Stud with Groove.
+    '6141': '4073', // Plate 1 x 1 Round.
+    '3626bp01': '3626bp01', // Minifig Head with Standard Grin.
+    '3626bp02': '3626bp02' // Minifig Head with Female Face and Red Lips.
+};
+
+/*
+  LDraw IDs of printed parts: The ID of the unprinted part followed by 'p' and the code of the print, such as '3626bp01'.
+ */
+LDR.PartIDMapping.PATTERN = /^(\d+[a-z]?)p[0-9a-z]+$/;
+
+/*
+ * Returns {items:[{ID, amount}]} for one LDraw part, or {reason} if the part cannot be mapped.
+ * 'substitute' is set on the result when the unprinted part is used for a printed part.
+ */
+LDR.PartIDMapping.prototype.map = function(partID) {
+    let ID = partID.toLowerCase().replace(/\.dat$/, '');
+    if(this.table.hasOwnProperty(ID)) {
+        let entry = this.table[ID];
+        if(entry === null) {
+            return {reason:'Not available'};
+        }
+        if(Array.isArray(entry)) {
+            return {items:entry.map(item => ({ID:item.ID, amount:item.amount || 1}))};
+        }
+        return {items:[{ID:entry, amount:1}]};
+    }
+
+    let m = ID.match(LDR.PartIDMapping.PATTERN);
+    if(m) {
+        if(this.patterns !== 'base') {
+            return {reason:'Printed part'};
+        }
+        let ret = this.map(m[1]);
+        if(ret.items) {
+            ret.substitute = true;
+        }
+        return ret;
+    }
+
+    return {items:[{ID:ID, amount:1}]};
+}
+
+/*
+ * Map the parts counted by an LDR.PartsBuilder.
+ * 'getColor' translates an LDraw color ID into the color of the catalog, or returns undefined if there is none.
+ * Returns {items:[{ID, colorID, color, amount, substitute}], unmapped:[{partID, colorID, amount, reason}]}
+ * Items with the same ID and color are combined.
+ */
+LDR.PartIDMapping.prototype.mapParts = function(builder, getColor) {
+    let items = [], unmapped = [];
+    let seen = {}; // ID + color => item.
+    let self = this;
+
+    builder.pcKeys.forEach(key => {
+            let pc = builder.pcs[key];
+            let color = getColor(pc.colorID);
+            if(color === undefined) {
+                unmapped.push({partID:pc.partID, colorID:pc.colorID, amount:pc.amount, reason:'Unknown color'});
+                return;
+            }
+            let mapped = self.map(pc.partID);
+            if(!mapped.items) {
+                unmapped.push({partID:pc.partID, colorID:pc.colorID, amount:pc.amount, reason:mapped.reason});
+                return;
+            }
+            mapped.items.forEach(item => {
+                    let itemKey = item.ID + '_' + color;
+                    if(seen.hasOwnProperty(itemKey)) {
+                        seen[itemKey].amount += item.amount * pc.amount;
+                        seen[itemKey].substitute = seen[itemKey].substitute || !!mapped.substitute;
+                        return;
+                    }
+                    let ret = {ID:item.ID, colorID:pc.colorID, color:color, amount:item.amount * pc.amount, substitute:!!mapped.substitute};
+                    seen[itemKey] = ret;
+                    items.push(ret);
+                });
+        });
+    return {items:items, unmapped:unmapped};
+}
+
+/*
+  BrickLink wanted list. Specification: https://www.bricklink.com/help.asp?helpID=207
+  'mapping' defaults to an LDR.PartIDMapping using LDR.PartIDMapping.BRICKLINK.
+ */
+LDR.BrickLinkWantedList = function(builder, mapping) {
+    mapping = mapping || new LDR.PartIDMapping(LDR.PartIDMapping.BRICKLINK);
+    let mapped = mapping.mapParts(builder, colorID => LDR.Colors[colorID] ? LDR.Colors[colorID].bricklink_id : undefined);
+    this.items = mapped.items;
+    this.unmapped = mapped.unmapped;
+}
+
+LDR.escapeXML = function(s) {
+    return ('' + s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+}
+
+/*
+ * Returns the wanted list as XML for uploading to BrickLink.
+ */
+LDR.BrickLinkWantedList.prototype.toXML = function() {
+    let ret = '<INVENTORY>\n';
+    this.items.forEach(item => {
+            ret += ' <ITEM>\n' +
+                   '  <ITEMTYPE>P</ITEMTYPE>\n' +
+                   '  <ITEMID>' + LDR.escapeXML(item.ID) + '</ITEMID>\n' +
+                   '  <COLOR>' + item.color + '</COLOR>\n' +
+                   '  <MINQTY>' + item.amount + '</MINQTY>\n' +
+                   ' </ITEM>\n';
+        });
+    ret += '</INVENTORY>\n';
+    return ret;
+}
+
+/*
+  Known differences between LDraw and Rebrickable part IDs. Colors of Rebrickable are the LDraw colors.
+  Rebrickable mostly uses the LDraw IDs. Other parts are passed through unchanged. Printed parts have their own numbering ('3626bpr0001' rather than '3626bp01') and are therefore left unmapped.
+ */
+LDR.PartIDMapping.REBRICKABLE = {
+    '3794b': '15573' // Plate 1 x 2 with 1 Stud with Groove.
+};
+
+/*
+  Known differences between LDraw part IDs and LEGO design IDs.
+ */
+LDR.PartIDMapping.LEGO = {
+    '3794b': '15573' // Plate 1 x 2 with 1 Stud with Groove.
+};
+
+/*
+ * Create CSV content from rows of values. Values containing commas, quotes or line breaks are quoted.
+ */
+LDR.toCSV = function(rows) {
+    function escape(v) {
+        v = '' + v;
+        return /[",\n\r]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+    }
+    return rows.map(row => row.map(escape).join(',')).join('\n') + '\n';
+}
+
+/*
+  Parts list for importing into Rebrickable as 'Part,Color,Quantity' CSV.
+  'mapping' defaults to an LDR.PartIDMapping using LDR.PartIDMapping.REBRICKABLE.
+ */
+LDR.RebrickableList = function(builder, mapping) {
+    mapping = mapping || new LDR.PartIDMapping(LDR.PartIDMapping.REBRICKABLE);
+    let mapped = mapping.mapParts(builder, colorID => LDR.Colors[colorID] ? colorID : undefined);
+    this.items = mapped.items;
+    this.unmapped = mapped.unmapped;
+}
+
+LDR.RebrickableList.prototype.toCSV = function() {
+    return LDR.toCSV([['Part', 'Color', 'Quantity']].concat(this.items.map(item => [item.ID, item.color, item.amount])));
+}
+
+/*
+  List of LEGO design IDs and LEGO colors for finding the parts in LEGO Pick a Brick.
+  The LEGO colors are the 'lego_id' of LDR.Colors.
+  'mapping' defaults to an LDR.PartIDMapping using LDR.PartIDMapping.LEGO.
+ */
+LDR.LEGOElementList = function(builder, mapping) {
+    mapping = mapping || new LDR.PartIDMapping(LDR.PartIDMapping.LEGO);
+    let mapped = mapping.mapParts(builder, colorID => LDR.Colors[colorID] ? LDR.Colors[colorID].lego_id : undefined);
+    this.items = mapped.items;
+    this.unmapped = mapped.unmapped;
+}
+
+LDR.LEGOElementList.prototype.toCSV = function() {
+    let rows = this.items.map(item => [item.ID, item.color, LDR.Colors[item.colorID].lego_name || '', item.amount]);
+    return LDR.toCSV([['Design ID', 'Color ID', 'Color', 'Quantity']].concat(rows));
+}
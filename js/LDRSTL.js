@@ -0,0 +1,173 @@
+'use strict';
+
+/*
+  Export of models, sub models and parts to binary STL for 3D printing.
+
+  The model is flattened into a single geometry using LDR.LDRGeometry.fromModel(), so the winding of the triangles follows the BFC information of the LDraw files.
+  Lines and conditional lines are dropped while the model is flattened. Quads are split into triangles.
+  The geometries of parts without BFC information contain reversed copies of their triangles, as these are rendered from both sides.
+  Unless the option 'doubleSided' is set, only one of each such pair is exported. Duplicate triangles are also left out.
+
+  Coordinates are in millimeters with Z being up. The model is centered on X and Y with the bottom at Z=0.
+
+  Example:
+
+  let exporter = new LDR.STLExporter(loader, {weld:0.01});
+  let stl = exporter.exportModel('3001.dat'); // ArrayBuffer
+  let blob = new Blob([stl], {type:'model/stl'});
+
+  The geometries of the parts are built using LDR.GeometryBuilder if this has not already been done.
+
+  options:
+  - scale: Millimeters per LDU. Default is 0.4
+  - weld: Distance in millimeters within which vertices are merged. Triangles which become degenerate are removed. Default is 0 for only merging identical vertices.
+  - doubleSided: Keep the triangles of parts without BFC information facing both ways, as when they are rendered. This makes the mesh non-manifold, so it should not be used for 3D printing. Default is false.
+ */
+LDR.STLExporter = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.scale = options.scale || 0.4;
+    this.weld = options.weld || 0;
+    this.doubleSided = options.doubleSided || false;
+}
+
+/*
+ * Export the model, sub model or part 'ID' of the loader, or the main model if no ID is given.
+ * Returns the content of the .stl file as an ArrayBuffer.
+ */
+LDR.STLExporter.prototype.exportModel = function(ID) {
+    let loader = this.loader;
+    ID = ID || loader.mainModel;
+    let pt = loader.partTypes[ID];
+    if(!pt || pt === true) {
+        throw 'Unknown model: ' + ID;
+    }
+
+    // Ensure the parts have geometries:
+    let geometryBuilder = new LDR.GeometryBuilder(loader, {});
+    geometryBuilder.build(pt.isPart() ? (pt.geometry ? [] : [pt]) : geometryBuilder.getAllTopLevelToBeBuilt());
+
+    let g = new LDR.LDRGeometry();
+    g.fromModel(loader, pt, false);
+    if(this.doubleSided) {
+        g.ensureCull();
+    }
+
+    return this.write(ID, this.getVertices(g), this.getTriangles(g));
+}
+
+/*
+ * Convert the vertices of the geometry to millimeters with Z up: LDraw X, Y, Z become X, Z, -Y.
+ * Vertices within the weld distance of each other are merged.
+ * Returns an array of [x, y, z] with indices matching those of the geometry.
+ */
+LDR.STLExporter.prototype.getVertices = function(g) {
+    let s = this.scale, weld = this.weld;
+    let welded = {}; // Rounded position => vertex.
+    return g.vertices.map(v => {
+            let p = [v.x*s, v.z*s, -v.y*s];
+            if(weld <= 0) {
+                return p;
+            }
+            let key = p.map(x => Math.round(x/weld)).join(',');
+            if(!welded.hasOwnProperty(key)) {
+                welded[key] = p;
+            }
+            return welded[key];
+        });
+}
+
+/*
+ * Key for the vertex indices of a triangle or quad which does not depend on the index the polygon starts at.
+ */
+LDR.STLExporter.getKey = function(indices) {
+    let first = indices.indexOf(Math.min(...indices));
+    return indices.slice(first).concat(indices.slice(0, first)).join(',');
+}
+
+/*
+ * Get the triangles of the geometry as an array of vertex indices, three for each triangle.
+ * Unless 'doubleSided' is set, triangles and quads are left out when they or their reverse have already been included.
+ */
+LDR.STLExporter.prototype.getTriangles = function(g) {
+    let ret = [];
+    let doubleSided = this.doubleSided;
+    let seen = {}; // Keys of the included triangles and quads.
+    function include(indices) {
+        if(doubleSided) {
+            return true;
+        }
+        let key = LDR.STLExporter.getKey(indices);
+        if(seen.hasOwnProperty(key) || seen.hasOwnProperty(LDR.STLExporter.getKey(indices.slice().reverse()))) {
+            return false;
+        }
+        seen[key] = true;
+        return true;
+    }
+
+    for(let c in g.triangles) {
+        if(g.triangles.hasOwnProperty(c)) {
+            g.triangles[c].forEach(t => include([t.p1, t.p2, t.p3]) && ret.push(t.p1, t.p2, t.p3));
+        }
+    }
+    for(let c in g.quads) {
+        if(g.quads.hasOwnProperty(c)) {
+            g.quads[c].forEach(q => include([q.p1, q.p2, q.p3, q.p4]) && ret.push(q.p1, q.p2, q.p3, q.p1, q.p3, q.p4));
+        }
+    }
+    for(let idx in g.texmapTriangles) {
+        if(g.texmapTriangles.hasOwnProperty(idx)) {
+            g.texmapTriangles[idx].forEach(t => include([t.p1, t.p2, t.p3]) && ret.push(t.p1, t.p2, t.p3));
+        }
+    }
+    return ret;
+}
+
+/*
+ * Create the binary STL file: An 80 byte header and the number of triangles followed by 50 bytes for each triangle.
+ * Degenerate triangles are left out.
+ */
+LDR.STLExporter.prototype.write = function(ID, vertices, indices) {
+    // Bounds for placing the model on the build plate:
+    let min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity];
+    indices.forEach(i => vertices[i].forEach((x, j) => {
+                min[j] = Math.min(min[j], x);
+                max[j] = Math.max(max[j], x);
+            }));
+    let offset = indices.length === 0 ? [0, 0, 0] : [-(min[0]+max[0])/2, -(min[1]+max[1])/2, -min[2]];
+
+    let triangles = [];
+    let a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+    for(let i = 0; i < indices.length; i += 3) {
+        a.fromArray(vertices[indices[i]]);
+        b.fromArray(vertices[indices[i+1]]);
+        c.fromArray(vertices[indices[i+2]]);
+        if(a.equals(b) || b.equals(c) || c.equals(a)) {
+            continue; // Degenerate.
+        }
+        let normal = new THREE.Vector3();
+        normal.subVectors(b, a).cross(c.clone().sub(a)).normalize();
+        triangles.push([normal, a.clone(), b.clone(), c.clone()]);
+    }
+
+    let ret = new ArrayBuffer(84 + 50*triangles.length);
+    let view = new DataView(ret);
+    let header = ('LDraw model ' + ID).substring(0, 80); // The header must not start with 'solid'.
+    for(let i = 0; i < header.length; i++) {
+        view.setUint8(i, header.charCodeAt(i) & 0x7F);
+    }
+    view.setUint32(80, triangles.length, true);
+
+    let pos = 84;
+    triangles.forEach(t => {
+            t.forEach((v, j) => {
+                    let o = j === 0 ? [0, 0, 0] : offset; // Normals are not moved.
+                    view.setFloat32(pos, v.x + o[0], true);
+                    view.setFloat32(pos+4, v.y + o[1], true);
+                    view.setFloat32(pos+8, v.z + o[2], true);
+                    pos += 12;
+                });
+            pos += 2; // Attribute byte count is 0.
+        });
+    return ret;
+}
@@ -0,0 +1,349 @@
+'use strict';
+
+/*
+  Export of steps as vector line art in SVG.
+
+  The geometries of the parts (LDR.LDRGeometry) are projected using a camera, such as the camera of LDR.InstructionsManager, on the CPU, so WebGL is not needed:
+  - Triangles and quads are filled with their LDraw colors and drawn back to front (painter's algorithm).
+  - Edge lines and conditional lines are drawn on top. Conditional lines are only drawn when their control points are on the same side of the line, like when rendering.
+  - Lines hidden behind faces are removed using a depth buffer of the faces. Faces of transparent colors do not hide lines.
+
+  The SVG elements are created using the helpers of LDR.SVG.
+
+  Example:
+
+  let exporter = new LDR.SVGExporter(loader, {width:800, height:600});
+  let svg = exporter.exportStep(manager.stepHandler, manager.camera, manager.baseObject.matrixWorld);
+  let blob = new Blob([new XMLSerializer().serializeToString(svg)], {type:'image/svg+xml'});
+
+  The geometries of the parts are built using LDR.GeometryBuilder if this has not already been done.
+
+  options:
+  - width, height: Size of the drawing in pixels. The camera should have the same aspect ratio. Default is 800 x 600.
+  - background: Background color, such as '#FFFFFF'. Default is no background.
+  - lineWidth: Width of edge lines and conditional lines in pixels. Default is 1.
+  - conditionalLines: Set to false to leave out conditional lines.
+  - depthTolerance: How far in front of the faces around them lines are considered visible. In the units of the camera, which is LDU unless the model is scaled. Default is 1.
+ */
+LDR.SVGExporter = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.width = options.width || 800;
+    this.height = options.height || 600;
+    this.background = options.background;
+    this.lineWidth = options.lineWidth || 1;
+    this.conditionalLines = options.conditionalLines !== false;
+    this.depthTolerance = options.depthTolerance !== undefined ? options.depthTolerance : 1;
+}
+
+/*
+ * Draw the parts shown in the current step of the LDR.StepHandler.
+ * matrixWorld places the model in the scene, such as the matrixWorld of the object holding the meshes of the step handler. Default is no transformation.
+ * Returns an svg element.
+ */
+LDR.SVGExporter.prototype.exportStep = function(stepHandler, camera, matrixWorld) {
+    return this.exportParts(this.getPartsOfCurrentStep(stepHandler), camera, matrixWorld);
+}
+
+/*
+ * Get the placed part descriptions of the parts shown in the current step. Like in the building instructions, only the sub model being built is shown while stepping through its steps.
+ */
+LDR.SVGExporter.prototype.getPartsOfCurrentStep = function(stepHandler) {
+    let loader = this.loader;
+    let ret = [];
+
+    function addModel(pd) {
+        let pt = loader.partTypes[pd.ID];
+        if(pt.isPart()) {
+            ret.push(pd);
+            return;
+        }
+        pt.steps.forEach(step => step.subModels.filter(subModel => !subModel.bufferRetrieve).forEach(subModel => addModel(subModel.placeAt(pd))));
+    }
+    function isShown(x, current) { // Parts and sub models removed by buffer exchange are hidden.
+        return x.removedAt === undefined || current < x.removedAt;
+    }
+    function addSteps(sh) {
+        let subStepHandler = sh.steps[sh.current].stepHandler;
+        if(subStepHandler && !subStepHandler.isAtPlacementStep()) {
+            addSteps(subStepHandler); // Building a sub model.
+            return;
+        }
+        let placement = sh.partDescs[0];
+        for(let i = 0; i <= Math.min(sh.current, sh.length-1); i++) {
+            let s = sh.steps[i];
+            if(s.stepHandler) {
+                if(isShown(s, sh.current)) {
+                    s.stepHandler.partDescs.forEach(addModel);
+                }
+            }
+            else {
+                s.step.subModels.filter(pd => isShown(pd, sh.current)).forEach(pd => addModel(pd.placeAt(placement)));
+            }
+        }
+        if(sh.isAtPlacementStep()) {
+            sh.partDescs.slice(1).forEach(addModel); // The other placed copies of the sub model.
+        }
+    }
+
+    if(!stepHandler.isAtPreStep()) {
+        addSteps(stepHandler);
+    }
+    return ret;
+}
+
+/*
+ * Draw parts given by placed part descriptions. Returns an svg element.
+ */
+LDR.SVGExporter.prototype.exportParts = function(pds, camera, matrixWorld) {
+    let loader = this.loader;
+    let W = this.width, H = this.height;
+    let perspective = camera.isPerspectiveCamera;
+
+    // Ensure the parts have geometries:
+    let toBeBuilt = [];
+    pds.forEach(pd => {
+            let pt = loader.partTypes[pd.ID];
+            if(!pt.geometry && toBeBuilt.indexOf(pt) < 0) {
+                toBeBuilt.push(pt);
+            }
+        });
+    if(toBeBuilt.length > 0) {
+        new LDR.GeometryBuilder(loader, {}).build(toBeBuilt);
+    }
+
+    camera.updateMatrixWorld();
+    camera.matrixWorldInverse.getInverse(camera.matrixWorld);
+    let view = new THREE.Matrix4();
+    view.copy(camera.matrixWorldInverse);
+    if(matrixWorld) {
+        view.multiply(matrixWorld);
+    }
+
+    let faces = []; // {pts, depth, colorID}
+    let lines = []; // {a, b, colorID}
+
+    pds.forEach(pd => {
+            let g = loader.partTypes[pd.ID].geometry;
+            let r = pd.rotation.elements, p = pd.position;
+            let m = new THREE.Matrix4();
+            m.set(r[0], r[3], r[6], p.x,
+                  r[1], r[4], r[7], p.y,
+                  r[2], r[5], r[8], p.z,
+                  0, 0, 0, 1);
+            m.premultiply(view);
+
+            // Screen positions with 'd' being the distance from the camera:
+            let pts = g.vertices.map(v => {
+                    let pos = new THREE.Vector3(v.x, v.y, v.z).applyMatrix4(m);
+                    let d = -pos.z;
+                    pos.applyMatrix4(camera.projectionMatrix);
+                    return {x:(pos.x+1)*W/2, y:(1-pos.y)*H/2, d:d, q:perspective ? 1/d : d};
+                });
+            function color(c) {
+                return LDR.SVGExporter.placeColor(parseInt(c), pd.colorID);
+            }
+            function addFace(c, face) {
+                let depth = face.reduce((sum, pt) => sum + pt.d, 0) / face.length;
+                faces.push({pts:face, depth:depth, colorID:c});
+            }
+
+            for(let c in g.triangles) {
+                if(g.triangles.hasOwnProperty(c)) {
+                    g.triangles[c].forEach(t => addFace(color(c), [pts[t.p1], pts[t.p2], pts[t.p3]]));
+                }
+            }
+            for(let c in g.quads) {
+                if(g.quads.hasOwnProperty(c)) {
+                    g.quads[c].forEach(q => addFace(color(c), [pts[q.p1], pts[q.p2], pts[q.p3], pts[q.p4]]));
+                }
+            }
+            for(let idx in g.texmapTriangles) { // Texmaps are not drawn. Only the colors of the triangles.
+                if(g.texmapTriangles.hasOwnProperty(idx)) {
+                    g.texmapTriangles[idx].forEach(t => addFace(color(t.c), [pts[t.p1], pts[t.p2], pts[t.p3]]));
+                }
+            }
+            for(let c in g.lines) {
+                if(g.lines.hasOwnProperty(c)) {
+                    g.lines[c].forEach(line => lines.push({a:pts[line.p1], b:pts[line.p2], colorID:color(c)}));
+                }
+            }
+            if(!this.conditionalLines) {
+                return;
+            }
+            for(let c in g.conditionalLines) {
+                if(g.conditionalLines.hasOwnProperty(c)) {
+                    g.conditionalLines[c].forEach(line => {
+                            let a = pts[line.p1], b = pts[line.p2];
+                            if(LDR.SVGExporter.side(a, b, pts[line.p3]) * LDR.SVGExporter.side(a, b, pts[line.p4]) > 0) {
+                                lines.push({a:a, b:b, colorID:color(c)});
+                            }
+                        });
+                }
+            }
+        });
+
+    let depthBuffer = this.buildDepthBuffer(faces.filter(face => !LDR.SVGExporter.getColor(face.colorID).alpha), perspective);
+    faces.sort((a, b) => b.depth - a.depth); // Back to front.
+
+    // Build the SVG:
+    let num = x => Math.round(x*100)/100;
+    let svg = document.createElementNS(LDR.SVG.NS, 'svg');
+    svg.setAttribute('width', W);
+    svg.setAttribute('height', H);
+    svg.setAttribute('viewBox', '0 0 ' + W + ' ' + H);
+    if(this.background) {
+        let background = LDR.SVG.makeRect(0, 0, W, H, true);
+        background.setAttribute('fill', this.background);
+        svg.appendChild(background);
+    }
+
+    let facesGroup = document.createElementNS(LDR.SVG.NS, 'g');
+    facesGroup.setAttribute('stroke-width', '0.5'); // Outline faces in their own colors to hide gaps between them.
+    facesGroup.setAttribute('stroke-linejoin', 'round');
+    svg.appendChild(facesGroup);
+    faces.forEach(face => {
+            let polygon = LDR.SVG.makePolygon(face.pts.map(pt => num(pt.x) + ',' + num(pt.y)).join(' '));
+            let color = LDR.SVGExporter.getColor(face.colorID);
+            polygon.setAttribute('fill', color.hex);
+            polygon.setAttribute('stroke', color.hex);
+            if(color.alpha) {
+                polygon.setAttribute('fill-opacity', num(color.alpha));
+                polygon.setAttribute('stroke-opacity', num(color.alpha));
+            }
+            facesGroup.appendChild(polygon);
+        });
+
+    let linesGroup = document.createElementNS(LDR.SVG.NS, 'g');
+    linesGroup.setAttribute('stroke-width', this.lineWidth);
+    linesGroup.setAttribute('stroke-linecap', 'round');
+    svg.appendChild(linesGroup);
+    let tolerance = this.depthTolerance;
+    lines.forEach(line => {
+            let hex = LDR.SVGExporter.getColor(line.colorID).hex;
+            LDR.SVGExporter.getVisibleSegments(line.a, line.b, depthBuffer, W, H, tolerance, perspective).forEach(([a, b]) => {
+                    let svgLine = LDR.SVG.makeLine(num(a.x), num(a.y), num(b.x), num(b.y));
+                    svgLine.setAttribute('stroke', hex);
+                    linesGroup.appendChild(svgLine);
+                });
+        });
+
+    return svg;
+}
+
+/*
+ * Distances from the camera to the nearest faces for each pixel. Infinity where there are no faces.
+ */
+LDR.SVGExporter.prototype.buildDepthBuffer = function(faces, perspective) {
+    let W = this.width, H = this.height;
+    let ret = new Float32Array(W*H).fill(Infinity);
+
+    function drawTriangle(a, b, c) {
+        let area = (b.x-a.x)*(c.y-a.y) - (b.y-a.y)*(c.x-a.x);
+        if(area === 0) {
+            return;
+        }
+        let minX = Math.max(0, Math.floor(Math.min(a.x, b.x, c.x)));
+        let maxX = Math.min(W-1, Math.ceil(Math.max(a.x, b.x, c.x)));
+        let minY = Math.max(0, Math.floor(Math.min(a.y, b.y, c.y)));
+        let maxY = Math.min(H-1, Math.ceil(Math.max(a.y, b.y, c.y)));
+        for(let y = minY; y <= maxY; y++) {
+            let py = y + 0.5;
+            for(let x = minX; x <= maxX; x++) {
+                let px = x + 0.5;
+                // Barycentric coordinates of the pixel center:
+                let wa = ((b.x-px)*(c.y-py) - (b.y-py)*(c.x-px)) / area;
+                let wb = ((c.x-px)*(a.y-py) - (c.y-py)*(a.x-px)) / area;
+                let wc = 1 - wa - wb;
+                if(wa < 0 || wb < 0 || wc < 0) {
+                    continue;
+                }
+                let q = wa*a.q + wb*b.q + wc*c.q;
+                let d = perspective ? 1/q : q;
+                let i = y*W + x;
+                if(d < ret[i]) {
+                    ret[i] = d;
+                }
+            }
+        }
+    }
+
+    faces.forEach(face => {
+            let pts = face.pts;
+            for(let i = 2; i < pts.length; i++) {
+                drawTriangle(pts[0], pts[i-1], pts[i]);
+            }
+        });
+    return ret;
+}
+
+/*
+ * Split the line from a to b into the parts which are not hidden according to the depth buffer.
+ * The line is sampled twice per pixel. Returns an array of [from, to] screen positions.
+ */
+LDR.SVGExporter.getVisibleSegments = function(a, b, depthBuffer, W, H, tolerance, perspective) {
+    let dx = b.x - a.x, dy = b.y - a.y;
+    let n = Math.max(1, Math.ceil(2*Math.sqrt(dx*dx + dy*dy)));
+
+    function isVisible(t) {
+        let x = Math.floor(a.x + dx*t), y = Math.floor(a.y + dy*t);
+        if(x < 0 || y < 0 || x >= W || y >= H) {
+            return true; // Outside of the drawing.
+        }
+        let q = a.q + (b.q - a.q)*t;
+        let d = perspective ? 1/q : q;
+        return d <= depthBuffer[y*W + x] + tolerance;
+    }
+    function at(k) {
+        return {x:a.x + dx*k/n, y:a.y + dy*k/n};
+    }
+
+    let ret = [];
+    let start = -1; // First visible sample of the current segment.
+    for(let k = 0; k <= n; k++) {
+        let visible = isVisible(k/n);
+        if(visible && start < 0) {
+            start = k;
+        }
+        if(start >= 0 && (!visible || k === n)) {
+            let end = visible ? k : k-1;
+            if(end > start) {
+                ret.push([at(start), at(end)]);
+            }
+            start = -1;
+        }
+    }
+    return ret;
+}
+
+/*
+ * Which side of the line from a to b the point p is on: Positive on one side, negative on the other and 0 on the line.
+ */
+LDR.SVGExporter.side = function(a, b, p) {
+    return (b.x-a.x)*(p.y-a.y) - (b.y-a.y)*(p.x-a.x);
+}
+
+/*
+ * Color of a primitive of a part placed in 'colorID': 16 is the main color and 24 the edge color, like in THREE.LDRStep.generateThreePart().
+ */
+LDR.SVGExporter.placeColor = function(c, colorID) {
+    if(c === 16) {
+        return colorID;
+    }
+    if(c === 24) {
+        return colorID >= 10000 ? colorID : 10000 + colorID;
+    }
+    return c;
+}
+
+/*
+ * Get {hex, alpha} of an LDraw color. Colors of 10000 and above are the edge colors of the colors 10000 below. 'alpha' is 0 for opaque colors.
+ */
+LDR.SVGExporter.getColor = function(colorID) {
+    let edge = colorID >= 10000;
+    let color = LDR.Colors[edge ? colorID - 10000 : colorID] || LDR.Colors[16];
+    if(edge) {
+        return {hex:LDR.Colors.int2Hex(color.edge !== undefined ? color.edge : 0x333333), alpha:0};
+    }
+    return {hex:LDR.Colors.int2Hex(color.value), alpha:color.alpha ? color.alpha/255 : 0};
+}
@@ -69,6 +69,22 @@ LDR.Shader.createSimpleVertexShader = function(canBeOld, colors, push, defaultIs
     return ret;
 }
 
+// Texmapped triangles have 'uv' attributes for looking up in the texture of the texmap:
+LDR.Shader.createTexmapVertexShader = function(canBeOld, colors) {
+    let numberOfColors = colors.length;
+    if(numberOfColors == 0)
+	throw "No colors!";
+    let ret = LDR.Shader.createShaderHeader(canBeOld, numberOfColors, colors[0], false);
+    ret += `
+      attribute vec2 uv;
+      varying vec2 vUV;
+    `;
+    ret += LDR.Shader.createShaderBody(canBeOld, numberOfColors > 1);
+    ret += "\n    vUV = uv;";
+    ret += "  }";
+    return ret;
+}
+
 // See 'http://www.ldraw.org/article/218.html' for specification of optional/conditional lines.
 // A conditional line is drawn when the camera sees p3 and p4 on same side of line p1 p2.
 LDR.Shader.createConditionalVertexShader = function(canBeOld, colors, push) {
@@ -154,3 +170,17 @@ LDR.Shader.AlphaTestFragmentShader = `
       gl_FragColor = vColor;
   }
 `;
+
+// The texture is drawn on top of the color of the triangle:
+LDR.Shader.TexmapFragmentShader = `
+  precision lowp float;
+
+  uniform sampler2D map;
+  varying vec4 vColor;
+  varying vec2 vUV;
+
+  void main() {
+      vec4 texColor = texture2D(map, vUV);
+      gl_FragColor = vec4(mix(vColor.rgb, texColor.rgb, texColor.a), vColor.a);
+  }
+`;
@@ -5,7 +5,7 @@
    - Open/Close editor in top bar
     - PLI always shown when editor opened
     - and parts shown individually
-   - modify step rotation: ABS,REL, x, y, z --- 2 buttons + 3*3 inputs
+   - modify step rotation: ABS,REL,ADD, x, y, z --- 3 buttons + 3*3 inputs
    - Remove highlighted parts --- 1 button
    - save --- 1 button
    Operations on TODO-list:
@@ -113,10 +113,12 @@ LDR.StepEditor.prototype.createGuiComponents = function(parentEle) {
 }
 
 LDR.StepEditor.prototype.createRotationGuiComponents = function(parentEle) {
-    let self = this, Ele, Normal, Rel, Abs, End, X, Y, Z;
+    let self = this, Ele, Normal, Rel, Abs, Add, End, X, Y, Z;
     function propagate(rot) {
-        for(let i = self.stepIndex+1; i < self.part.steps.length; i++) {
-            let s = self.part.steps[i];
+        let steps = self.part.steps;
+        let i = self.stepIndex+1;
+        for(; i < steps.length; i++) {
+            let s = steps[i];
             if(!THREE.LDRStepRotation.equals(self.step.rotation, s.rotation)) {
                 console.log('Propagated ' + (i-self.stepIndex) + ' steps');
                 break; // Only replace until not the same as the first.
@@ -124,6 +126,14 @@ LDR.StepEditor.prototype.createRotationGuiComponents = function(parentEle) {
             s.rotation = rot ? rot.clone() : null;
         }
         self.step.rotation = rot; // Update starting step.
+
+        // Following ADD rotations are now added onto the new rotation:
+        if(i < steps.length && steps[i].rotation && steps[i].rotation.type === 'ADD') {
+            let oldPrevious = steps[i].rotation.previous;
+            for(; i < steps.length && steps[i].rotation && steps[i].rotation.previous === oldPrevious; i++) {
+                steps[i].rotation.previous = rot;
+            }
+        }
         self.onChange();
     }
     function makeNormal() { // Copy previous step rotation, or set to null if first step.
@@ -132,11 +142,19 @@ LDR.StepEditor.prototype.createRotationGuiComponents = function(parentEle) {
     function makeRel() { 
         let rot = self.step.rotation ? self.step.rotation.clone() : new THREE.LDRStepRotation(0, 0, 0, 'REL');
         rot.type = 'REL';
+        rot.previous = null;
         propagate(rot);
     }
     function makeAbs() {
         let rot = self.step.rotation ? self.step.rotation.clone() : new THREE.LDRStepRotation(0, 0, 0, 'ABS');
         rot.type = 'ABS';
+        rot.previous = null;
+        propagate(rot);
+    }
+    function makeAdd() {
+        let rot = self.step.rotation ? self.step.rotation.clone() : new THREE.LDRStepRotation(0, 0, 0, 'ADD');
+        rot.type = 'ADD';
+        rot.previous = self.stepIndex === 0 ? null : self.part.steps[self.stepIndex-1].rotation;
         propagate(rot);
     }
     function makeEnd() {
@@ -174,6 +192,7 @@ LDR.StepEditor.prototype.createRotationGuiComponents = function(parentEle) {
     }
     Rel = makeRotationRadioButton('REL', makeRel, this.makeRelIcon());
     Abs = makeRotationRadioButton('ABS', makeAbs, this.makeAbsIcon());
+    Add = makeRotationRadioButton('ADD', makeAdd, this.makeAddIcon());
 
     function makeXYZ(icon, sub, add, x1, y1, x2, y2) {
         function subOrAdd(fun) {
@@ -205,7 +224,10 @@ LDR.StepEditor.prototype.createRotationGuiComponents = function(parentEle) {
             if(rot.type === 'REL') {
                 Rel.checked = true;
             }
-            else { // rot.type === 'ABS' as 'ADD' is unsupported.
+            else if(rot.type === 'ADD') {
+                Add.checked = true;
+            }
+            else { // rot.type === 'ABS'
                 Abs.checked = true;
             }
         }
@@ -273,6 +295,17 @@ LDR.StepEditor.prototype.makeAbsIcon = function() {
     svg.append(LDR.SVG.makeRect(37, -13, 24, 31, true));
     return svg;
 }
+LDR.StepEditor.prototype.makeAddIcon = function() {
+    let svg = document.createElementNS(LDR.SVG.NS, 'svg');
+    svg.setAttribute('viewBox', '-75 -25 150 50');
+    LDR.SVG.makeBlock3D(-50, 0, svg);
+    LDR.SVG.appendRotationCircle(0, 0, 18, svg);
+
+    // Plus sign:
+    svg.appendChild(LDR.SVG.makeLine(35, 0, 65, 0, true));
+    svg.appendChild(LDR.SVG.makeLine(50, -15, 50, 15, true));
+    return svg;
+}
 LDR.StepEditor.prototype.makeEndIcon = function() {
     let svg = document.createElementNS(LDR.SVG.NS, 'svg');
     svg.setAttribute('viewBox', '-75 -25 150 50');
@@ -15,6 +15,9 @@ The builder supports the operations:
 - prevStep: Single step back (if possible)
 - moveSteps: Go forward/back a specific number of steps.
 - Various methods for trieving information regarding the current step (depth, quantities, etc.)
+
+MLCad buffer exchange ('0 BUFEXCHG <buffer> STORE/RETRIEVE') is shown by hiding the parts removed by a RETRIEVE from the step of the RETRIEVE and onward.
+This allows for showing "before" and "after" states, such as a hinge being swung into place.
 */
 LDR.StepHandler = function(opaqueObject, transObject, loader, partDescs, isForMainModel, storage) {
     this.opaqueObject = opaqueObject;
@@ -42,6 +45,7 @@ LDR.StepHandler = function(opaqueObject, transObject, loader, partDescs, isForMa
         this.steps.push(new LDR.StepInfo(sh, step.cloneColored(partDesc.colorID)));
     }
     this.steps.push(new LDR.StepInfo()); // One more for placement step.
+    this.setUpBufferExchanges();
 
     if(isForMainModel) {
         this.recomputeStepIndices(1);
@@ -54,6 +58,69 @@ LDR.StepInfo = function(stepHandler, step) {
     this.bounds;
     this.accumulatedBounds;
     this.meshCollector;
+    this.removedAt; // For sub model steps: Index of the step where the sub models are removed by buffer exchange.
+    this.bufferHidden = false;
+}
+
+/*
+  Find the steps in which parts are removed by buffer exchange.
+  Part descriptions of this step handler get 'removedAt' set to the index of the step removing them.
+ */
+LDR.StepHandler.prototype.setUpBufferExchanges = function() {
+    let retrieveSteps = new Map(); // Retrieve command -> step index
+    for(let i = 0; i < this.length; i++) {
+        this.steps[i].step.bufferRetrieves.forEach(retrieve => retrieveSteps.set(retrieve, i));
+    }
+    this.hasBufferExchanges = retrieveSteps.size > 0;
+    if(!this.hasBufferExchanges) {
+        return;
+    }
+    for(let i = 0; i < this.length; i++) {
+        let s = this.steps[i];
+        s.step.subModels.filter(pd => pd.bufferRetrieve).forEach(pd => pd.removedAt = retrieveSteps.get(pd.bufferRetrieve));
+        if(s.stepHandler && s.step.subModels.length > 0) {
+            s.removedAt = s.step.subModels[0].removedAt;
+        }
+    }
+}
+
+/*
+  Hide and show parts removed by buffer exchange according to the current step.
+  Called whenever the current step changes.
+ */
+LDR.StepHandler.prototype.updateBufferExchanges = function() {
+    if(!this.hasBufferExchanges) {
+        return;
+    }
+    let current = this.current;
+    for(let i = 0; i < this.length; i++) {
+        let s = this.steps[i];
+        if(s.stepHandler) {
+            if(s.removedAt === undefined) {
+                continue;
+            }
+            let hidden = current >= s.removedAt;
+            if(hidden) {
+                s.stepHandler.setVisible(false);
+            }
+            else if(s.bufferHidden) {
+                s.stepHandler.setVisible(i <= current); // Shown again when stepping back.
+            }
+            s.bufferHidden = hidden;
+            continue;
+        }
+        let changed = false;
+        s.step.subModels.filter(pd => pd.removedAt !== undefined).forEach(pd => {
+                let hidden = current >= pd.removedAt;
+                if(hidden !== !!pd.bufferHidden) {
+                    pd.bufferHidden = hidden;
+                    changed = true;
+                }
+            });
+        if(changed && s.meshCollector) {
+            s.meshCollector.updateMeshVisibility();
+        }
+    }
 }
 
 /**
@@ -173,6 +240,7 @@ LDR.StepHandler.prototype.nextStep = function(doNotEraseForSubModels) {
 	this.updateMeshCollectors(false); // Make whole dtepHandler new (for placement):
 	this.drawExtras();
 	this.current++;
+        this.updateBufferExchanges();
 	return true;
     }
 
@@ -229,6 +297,7 @@ LDR.StepHandler.prototype.nextStep = function(doNotEraseForSubModels) {
 	    }
 	}
     }
+    this.updateBufferExchanges();
     return true;
 }
 
@@ -259,6 +328,7 @@ LDR.StepHandler.prototype.prevStep = function(doNotEraseForSubModels) {
 	}
 	
 	this.current--;
+        this.updateBufferExchanges();
 	return true;
     }
 
@@ -281,6 +351,7 @@ LDR.StepHandler.prototype.prevStep = function(doNotEraseForSubModels) {
 	    this.stepBack();
 	}
     }
+    this.updateBufferExchanges();
     return true;
 }
 
@@ -369,6 +440,8 @@ LDR.StepHandler.prototype.cleanUpAfterWalking = function(level = 0) {
                 s.meshCollector.setVisible(this.isAtPlacementStep());
             }
 	}
+        this.steps.forEach(s => s.bufferHidden = false); // Sub models have been shown again.
+        this.updateBufferExchanges();
     }
 }
 
@@ -590,6 +663,16 @@ LDR.StepHandler.prototype.updateMeshCollectors = function(old) {
     }
 }
 
+/*
+  Release the meshes of all steps, including those of sub models. The step handler cannot be used afterwards.
+ */
+LDR.StepHandler.prototype.dispose = function() {
+    this.steps.forEach(s => {
+            s.meshCollector && s.meshCollector.dispose();
+            s.stepHandler && s.stepHandler.dispose();
+        });
+}
+
 //
 // Editor operations:
 //
@@ -0,0 +1,257 @@
+'use strict';
+
+/*
+  Off-screen rendering of the steps of building instructions, such as for printing and for exporting images.
+
+  The steps are walked using LDR.StepHandler like LDR.InstructionsManager does. The model is rotated like in the building instructions, and the camera is zoomed to show all parts placed so far in the current model or sub model.
+
+  Example:
+
+  let stepRenderer = new LDR.StepRenderer(loader, {width:1600, height:1200});
+  stepRenderer.walk(function(info, next) {
+          let png = info.canvas.toDataURL(); // The canvas is reused for the next step.
+          next();
+      }, () => console.log('All steps rendered'));
+
+  Exporters use walkAndDispose() to also release the WebGL contexts when a step fails:
+
+  stepRenderer.walkAndDispose(null, onStep, () => zip.toBlob(), blob => saveAs(blob, 'steps.zip'), e => console.warn(e));
+
+  The loader must have loaded the model before steps are rendered.
+
+  options:
+  - width, height: Size of the renders in pixels. Default is 1200 x 900.
+  - background: Background color, such as 0xFFFFFF. Defaults to the background colors of the steps which indicate how deep the current sub model is (see LDR.BackgroundColors).
+  - transparent: Set to true for a transparent background.
+  - storage: Storage used by LDR.GeometryBuilder. See ClientStorage.js. Default is no storage.
+ */
+LDR.StepRenderer = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.width = options.width || 1200;
+    this.height = options.height || 900;
+    this.background = options.background;
+    this.transparent = options.transparent || false;
+
+    this.scene = new THREE.Scene();
+    this.camera = new THREE.OrthographicCamera(-this.width/2, this.width/2, this.height/2, -this.height/2, 0.1, 1000000);
+    this.camera.position.set(10000, 7000, 10000);
+    this.camera.lookAt(new THREE.Vector3());
+
+    this.renderer = new THREE.WebGLRenderer({antialias:true, alpha:this.transparent, preserveDrawingBuffer:true});
+    this.renderer.setPixelRatio(1);
+    this.renderer.setSize(this.width, this.height);
+    this.canvas = this.renderer.domElement;
+
+    this.baseObject = new THREE.Group();
+    this.opaqueObject = new THREE.Group();
+    this.transObject = new THREE.Group();
+    this.baseObject.add(this.opaqueObject); // Draw non-trans before trans.
+    this.baseObject.add(this.transObject);
+    this.scene.add(this.baseObject);
+
+    this.defaultMatrix = new THREE.Matrix4(); // Identity, like in LDR.InstructionsManager.
+    let pd = new THREE.LDRPartDescription(0, new THREE.Vector3(), new THREE.Matrix3(), loader.mainModel, false);
+    this.stepHandler = new LDR.StepHandler(this.opaqueObject, this.transObject, loader, [pd], true, options.storage || {});
+}
+
+/*
+ * Release the meshes and the WebGL context. Browsers only allow a few WebGL contexts at a time, so call this when done rendering.
+ */
+LDR.StepRenderer.prototype.dispose = function() {
+    this.stepHandler.dispose();
+    this.renderer.dispose();
+    this.renderer.forceContextLoss();
+}
+
+LDR.StepRenderer.prototype.setSize = function(width, height) {
+    this.width = width;
+    this.height = height;
+    this.camera.left = -width/2;
+    this.camera.right = width/2;
+    this.camera.top = height/2;
+    this.camera.bottom = -height/2;
+    this.camera.updateProjectionMatrix();
+    this.renderer.setSize(width, height);
+}
+
+/*
+ * Draw the arrows indicating that the model is rotated, like the rotator of the building instructions.
+ * (x, y) is the center and 'size' the width of the arrows in pixels.
+ */
+LDR.StepRenderer.drawRotator = function(context, x, y, size) {
+    let arrow = new Path2D('M 25,-14 40,-10 48,-23 M 40,-10 C 30,-50 -30,-50 -40,-10');
+    context.save();
+    context.translate(x, y);
+    context.scale(size/104, size/104);
+    context.strokeStyle = '#000';
+    context.lineWidth = 12;
+    context.stroke(arrow);
+    context.scale(-1, -1);
+    context.stroke(arrow);
+    context.restore();
+}
+
+/*
+ * Information about the current step:
+ * - stepIndex: Number of the step as shown in the building instructions, starting from 1.
+ * - modelID: ID of the model or sub model being built.
+ * - totalSteps: Number of steps of the building instructions.
+ * - level: 0 for steps of the main model, 1 for steps of sub models placed in the main model, and so on.
+ * - multiplier: Number of times the sub model being built is placed.
+ * - rotator: Truthy when the model is rotated compared to the previous step.
+ * - step: The THREE.LDRStep for the PLI.
+ * - background: Background color of the step as a hex string, such as 'FFFFFF'.
+ */
+LDR.StepRenderer.prototype.getStepInfo = function() {
+    let sh = this.stepHandler;
+    return {
+        stepIndex: sh.getCurrentStepIndex(),
+        modelID: sh.getCurrentStepInfo()[0].ID,
+        totalSteps: sh.totalNumberOfSteps,
+        level: sh.getLevelOfCurrentStep(),
+        multiplier: sh.getMultiplierOfCurrentStep(),
+        rotator: sh.getShowRotatorForCurrentStep(),
+        step: sh.getCurrentStep(),
+        background: sh.getBackgroundColorOfCurrentStep()
+    };
+}
+
+/*
+ * Render the current step. Returns the step information of getStepInfo() with 'canvas' set to the canvas holding the render.
+ */
+LDR.StepRenderer.prototype.render = function() {
+    let sh = this.stepHandler;
+    let info = this.getStepInfo();
+
+    let [position, rotation] = sh.computeCameraPositionRotation(this.defaultMatrix, null, true);
+    this.baseObject.setRotationFromMatrix(rotation);
+    this.baseObject.position.copy(position);
+    this.baseObject.updateMatrixWorld(true);
+
+    // Zoom so that the parts placed so far fill the render:
+    this.camera.zoom = 1;
+    let [dx, dy] = new LDR.Measurer(this.camera).measure(sh.getAccumulatedBounds(), this.baseObject.matrixWorld);
+    this.camera.zoom = 2 / (1.1 * Math.max(dx, dy, 0.0001));
+    this.camera.updateProjectionMatrix();
+
+    if(this.transparent) {
+        this.scene.background = null;
+    }
+    else {
+        this.scene.background = new THREE.Color(this.background !== undefined ? this.background : parseInt('0x' + info.background));
+    }
+    this.renderer.render(this.scene, this.camera);
+
+    info.canvas = this.canvas;
+    return info;
+}
+
+/*
+ * Render all steps from the first to the last.
+ * onStep(info, next) is called with the result of render() for each step. Call next() to continue with the next step, or next(error) to stop with an error from an asynchronous callback.
+ * onDone() is called after the last step.
+ * onError(error) is optional and called when a step fails to render, onStep() throws or next(error) is called. No more steps are rendered after an error. Errors are thrown when onError is not set.
+ */
+LDR.StepRenderer.prototype.walk = function(onStep, onDone, onError) {
+    let self = this;
+    let sh = this.stepHandler;
+
+    function fail(e) {
+        if(!onError) {
+            throw e;
+        }
+        onError(e);
+    }
+
+    // Start from the first step:
+    try {
+        if(sh.isAtPreStep()) {
+            sh.nextStep(false);
+        }
+        else {
+            sh.moveSteps(-sh.totalNumberOfSteps, () => {});
+        }
+    }
+    catch(e) {
+        fail(e);
+        return;
+    }
+
+    function next(error) {
+        if(error !== undefined) {
+            fail(error);
+            return;
+        }
+        if(sh.isAtLastStep()) {
+            onDone && onDone(); // Outside of the try block so that errors of onDone() are not reported as failed steps.
+            return;
+        }
+        try {
+            sh.moveSteps(1, () => setTimeout(handleStep, 0)); // Timeout to not block the page.
+        }
+        catch(e) {
+            fail(e);
+        }
+    }
+    function handleStep() {
+        let info;
+        try {
+            info = self.render();
+        }
+        catch(e) {
+            fail(e);
+            return;
+        }
+        try {
+            onStep(info, next);
+        }
+        catch(e) {
+            fail(e);
+        }
+    }
+    handleStep();
+}
+
+/*
+ * Walk all steps using walk() and dispose the step renderer and 'pliBuilder' (optional) afterwards, also when a step fails, so that no WebGL contexts are left behind.
+ * onStep(info, next) is called for each step like for walk().
+ * finish() is called after the last step while the step renderer and the PLI builder can still be used. Its return value is passed to onDone(result) after disposing.
+ * onError(error) is called after disposing when the walk or finish() fails. Errors are thrown when onError is not set.
+ */
+LDR.StepRenderer.prototype.walkAndDispose = function(pliBuilder, onStep, finish, onDone, onError) {
+    let self = this;
+    let disposed = false;
+    function dispose() {
+        if(disposed) {
+            return false;
+        }
+        disposed = true;
+        self.dispose();
+        pliBuilder && pliBuilder.dispose();
+        return true;
+    }
+    function fail(e) {
+        if(!dispose()) {
+            throw e; // Thrown by onDone() or after the walk has failed, so it is not reported as a failed step.
+        }
+        if(!onError) {
+            throw e;
+        }
+        onError(e);
+    }
+
+    function onStepsDone() {
+        let result;
+        try {
+            result = finish ? finish() : undefined;
+        }
+        catch(e) {
+            fail(e);
+            return;
+        }
+        dispose();
+        onDone && onDone(result);
+    }
+    this.walk((info, next) => disposed || onStep(info, next), onStepsDone, fail);
+}
@@ -1,13 +1,184 @@
+'use strict';
+
+/*
+  TEXMAP support. Specification: https://www.ldraw.org/texmap-spec.html
+
+  A texmap placement is created for each '0 !TEXMAP START' and '0 !TEXMAP NEXT' line:
+
+  0 !TEXMAP (START | NEXT) <method> <parameters> <pngfile> [GLOSSMAP <pngfile>]
+
+  where <method> is one of:
+  - PLANAR x1 y1 z1 x2 y2 z2 x3 y3 z3
+  - CYLINDRICAL x1 y1 z1 x2 y2 z2 x3 y3 z3 a
+  - SPHERICAL x1 y1 z1 x2 y2 z2 x3 y3 z3 a b
+
+  Examples from the LDraw library:
+  0 !TEXMAP START PLANAR 22 16 0 -19 16 0 22 43 0 19201p01.png
+  0 !TEXMAP START PLANAR -40 0 40 40 0 40 -40 0 -40 3960p0b.png
+
+  The points of a placement are in the coordinate system of the file in which the TEXMAP command is found.
+  UV coordinates are therefore computed when primitives are placed into this coordinate system (see LDR.LDRGeometry).
+ */
+LDR.TexmapPlacement = function(parts) {
+    this.idx; // Set by the loader. Used as key for the texmap in geometries.
+    this.dataBlock; // LDR.DataBlock with the texture if it is embedded in the file. Set by the loader.
+    this.nextOnly = parts[0] === 'NEXT'; // Only apply to the next line.
+    this.type = parts[1];
+    this.error;
+
+    let numberOfFloats;
+    switch(this.type) {
+    case 'PLANAR':
+        numberOfFloats = 9;
+        break;
+    case 'CYLINDRICAL':
+        numberOfFloats = 10;
+        break;
+    case 'SPHERICAL':
+        numberOfFloats = 11;
+        break;
+    default:
+        this.error = 'Unknown TEXMAP method "' + this.type + '"';
+        return;
+    }
+    if(parts.length < 3 + numberOfFloats) {
+        this.error = 'Missing parameters for TEXMAP method "' + this.type + '"';
+        return;
+    }
+
+    let f = parts.slice(2, 2 + numberOfFloats).map(parseFloat);
+    if(f.some(isNaN)) {
+        this.error = 'Malformed parameters for TEXMAP method "' + this.type + '"';
+        return;
+    }
+    this.p1 = new THREE.Vector3(f[0], f[1], f[2]);
+    this.p2 = new THREE.Vector3(f[3], f[4], f[5]);
+    this.p3 = new THREE.Vector3(f[6], f[7], f[8]);
+    this.a = f[9] / 180 * Math.PI; // Only for CYLINDRICAL and SPHERICAL.
+    this.b = f[10] / 180 * Math.PI; // Only for SPHERICAL.
+
+    // Texture and optional gloss map:
+    let fileParts = parts.slice(2 + numberOfFloats);
+    let glossIdx = fileParts.indexOf('GLOSSMAP');
+    if(glossIdx >= 0) {
+        this.glossmapFile = fileParts.slice(glossIdx+1).join(' ');
+        fileParts = fileParts.slice(0, glossIdx);
+    }
+    this.file = fileParts.join(' ');
+
+    this.setUpMethod();
+}
+
+/*
+  Precompute the vectors used by getUV().
+ */
+LDR.TexmapPlacement.prototype.setUpMethod = function() {
+    if(this.type === 'PLANAR') {
+        // U goes from p1 to p2, V goes from p1 to p3:
+        this.U = new THREE.Vector3(); this.U.subVectors(this.p2, this.p1);
+        this.U.divideScalar(this.U.lengthSq());
+        this.V = new THREE.Vector3(); this.V.subVectors(this.p3, this.p1);
+        this.V.divideScalar(this.V.lengthSq());
+    }
+    else if(this.type === 'CYLINDRICAL') {
+        // p1 is the bottom center, p2 the top center and p3 is on the bottom edge where u=0.5:
+        this.N = new THREE.Vector3(); this.N.subVectors(this.p2, this.p1);
+        this.height = this.N.length();
+        this.N.normalize();
+        this.R = new THREE.Vector3(); this.R.subVectors(this.p3, this.p1).normalize();
+    }
+    else { // SPHERICAL
+        // p1 is the center, p2 is where u=v=0.5, and p1, p2, p3 form the plane which bisects the texture horizontally:
+        this.R = new THREE.Vector3(); this.R.subVectors(this.p2, this.p1).normalize();
+        let toP3 = new THREE.Vector3(); toP3.subVectors(this.p3, this.p1);
+        this.N = new THREE.Vector3(); this.N.crossVectors(this.R, toP3).normalize();
+    }
+}
+
 /*
-ldraw_parts/19201p01.dat:0 !TEXMAP START PLANAR 22 16 0 -19 16 0 22 43 0 19201p01.png
-ldraw_parts/19201p01.dat:0 !TEXMAP FALLBACK
-ldraw_parts/19201p01.dat:0 !TEXMAP END
-ldraw_parts/19204p01.dat:0 !TEXMAP START PLANAR -26 -6 0 25 -6 0 -26 42 0 19204p01.png
-ldraw_parts/19204p01.dat:0 !TEXMAP FALLBACK
-ldraw_parts/19204p01.dat:0 !TEXMAP END
-ldraw_parts/3960p0b.dat:0 !TEXMAP START PLANAR -40 0 40 40 0 40 -40 0 -40 3960p0b.png
-ldraw_parts/3960p0b.dat:0 !TEXMAP FALLBACK
-ldraw_parts/3960p0b.dat:0 !TEXMAP END
+  Compute [u,v] for the point p.
+  The top left corner of the texture has LDraw coordinates (0,0), so v is flipped to match Three.js textures.
+ */
+LDR.TexmapPlacement.prototype.getUV = function(p) {
+    let d = new THREE.Vector3(p.x-this.p1.x, p.y-this.p1.y, p.z-this.p1.z);
 
+    if(this.type === 'PLANAR') {
+        return [d.dot(this.U), 1 - d.dot(this.V)];
+    }
+
+    let h = d.dot(this.N); // Distance from the equator (SPHERICAL) or bottom (CYLINDRICAL).
+    let flat = new THREE.Vector3(); flat.copy(this.N).multiplyScalar(-h).add(d); // d projected onto the plane.
+    let cross = new THREE.Vector3(); cross.crossVectors(this.R, flat);
+    let angle = Math.atan2(cross.dot(this.N), this.R.dot(flat)); // Angle from R around N.
+    let u = 0.5 + angle/this.a;
+
+    if(this.type === 'CYLINDRICAL') {
+        return [u, h/this.height];
+    }
+    // SPHERICAL:
+    let latitude = Math.atan2(h, flat.length());
+    return [u, 0.5 + latitude/this.b];
+}
+
+/*
+  Used in place of textures that could not be loaded, so that texmapped primitives are shown in their base color.
+ */
+LDR.TexmapPlacement.createEmptyTexture = function() {
+    let texture = new THREE.DataTexture(new Uint8Array(4), 1, 1, THREE.RGBAFormat);
+    texture.needsUpdate = true;
+    return texture;
+}
+
+/*
+  Embedded file from an MPD file. Specification: https://www.ldraw.org/article/47.html
+
+  0 !DATA <name>
+  0 !: <base64 encoded content>
+  0 !: ...
+
+  The block ends at the first line which is not a '0 !:' line.
+  The decoded content is made available as an object URL, so that textures can be loaded without a network request.
+  The loader revokes the object URL using revoke() once the texture has been loaded. 'url' is kept as the key of the texture.
+  The base64 lines are kept as they are, so that toLDR() writes the block back out unchanged.
+ */
+LDR.DataBlock = function(name) {
+    this.name = name;
+    this.lines = []; // base64 encoded content.
+    this.url; // Set by decode().
+}
+
+/*
+  Release the in-memory Blob of the decoded content.
+ */
+LDR.DataBlock.prototype.revoke = function() {
+    if(this.url) {
+        URL.revokeObjectURL(this.url);
+    }
+}
+
+LDR.DataBlock.MimeTypes = {png:'image/png', jpg:'image/jpeg', jpeg:'image/jpeg', gif:'image/gif', bmp:'image/bmp'};
+
+/*
+  Decode the content into an in-memory Blob and set 'url'. Returns false if the content is not valid base64.
+ */
+LDR.DataBlock.prototype.decode = function() {
+    let binary;
+    try {
+        binary = atob(this.lines.join(''));
+    }
+    catch(e) {
+        return false;
+    }
+    let bytes = new Uint8Array(binary.length);
+    for(let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    let suffix = this.name.substring(this.name.lastIndexOf('.')+1).toLowerCase();
+    let type = LDR.DataBlock.MimeTypes[suffix] || 'application/octet-stream';
+    this.url = URL.createObjectURL(new Blob([bytes], {type:type}));
+    return true;
+}
 
-*/
\ No newline at end of file
+LDR.DataBlock.prototype.toLDR = function() {
+    return '0 !DATA ' + this.name + '\n' + this.lines.map(line => '0 !: ' + line + '\n').join('');
+}
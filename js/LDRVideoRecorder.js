@@ -0,0 +1,249 @@
+'use strict';
+
+/*
+  Recording of the building instructions as a WebM video.
+
+  The steps are shown one at a time on the main canvas of an LDR.InstructionsManager, including the animations of realignModel() when the model is rotated and moved between steps.
+  The animations are timed by an LDR.FrameClock which advances exactly one frame at a time, so the frames of the video are the same no matter how fast the browser renders.
+  MediaRecorder timestamps frames as they arrive, so the recorder is paused while a frame is rendered and only runs for the duration of one frame after each frame is captured.
+  The timing of the video is therefore the same for slow and fast computers, and recording takes at least as long as the resulting video.
+
+  Only the main canvas is recorded: The PLI, multiplier and rotator are HTML elements on top of the canvas and not part of the video.
+
+  Example:
+
+  let recorder = new LDR.VideoRecorder(manager, {secondsPerStep:1, turntableSeconds:6});
+  recorder.record(blob => saveAs(blob, 'model.webm'), (step, total) => console.log('Step ' + step + ' of ' + total));
+
+  options:
+  - fps: Frames per second. Default is 30.
+  - secondsPerStep: How long each step is shown, including the animation to the step. Default is 2.
+  - turntableSeconds: Duration of a full turn of the finished model at the end of the video. Default is 0 for no turntable.
+  - mimeType: Format of the video. Default is 'video/webm;codecs=vp9' if supported by the browser, otherwise 'video/webm'.
+  - videoBitsPerSecond: Bitrate of the video. Default is chosen by the browser.
+ */
+LDR.VideoRecorder = function(manager, options) {
+    options = options || {};
+    this.manager = manager;
+    this.fps = options.fps || 30;
+    this.secondsPerStep = options.secondsPerStep !== undefined ? options.secondsPerStep : 2;
+    this.turntableSeconds = options.turntableSeconds || 0;
+    this.mimeType = options.mimeType ||
+        (MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm');
+    this.videoBitsPerSecond = options.videoBitsPerSecond;
+    this.stopped = false;
+}
+
+/*
+ * Record all steps from the first step. onDone(blob) is called with the video. onProgress(step, totalSteps) and onError(error) are optional.
+ * onError is called if a frame cannot be rendered or the browser fails to record. The manager is set back to real time animations also when recording fails.
+ * The manager should not be used while recording.
+ */
+LDR.VideoRecorder.prototype.record = function(onDone, onProgress, onError) {
+    let self = this;
+    let manager = this.manager;
+    let sh = manager.stepHandler;
+    let fps = this.fps;
+    this.stopped = false;
+
+    let stream = manager.canvas.captureStream(0); // Frames are only captured when requested.
+    let track = stream.getVideoTracks()[0];
+    let recorderOptions = {mimeType:this.mimeType};
+    if(this.videoBitsPerSecond) {
+        recorderOptions.videoBitsPerSecond = this.videoBitsPerSecond;
+    }
+    let recorder = new MediaRecorder(stream, recorderOptions);
+    let chunks = [];
+    recorder.ondataavailable = e => e.data.size > 0 && chunks.push(e.data);
+    recorder.onstop = function() {
+        track.stop();
+        onDone(new Blob(chunks, {type:recorder.mimeType}));
+    };
+    recorder.onerror = e => fail(e.error || e);
+
+    let clock = new LDR.FrameClock(fps);
+    let failed = false;
+
+    function fail(e) {
+        if(failed) {
+            return;
+        }
+        failed = true;
+        manager.clock = LDR.InstructionsManager.REAL_TIME;
+        recorder.onstop = () => track.stop(); // Drop the video recorded so far.
+        if(recorder.state !== 'inactive') {
+            recorder.stop();
+        }
+        else {
+            track.stop();
+        }
+        if(!onError) {
+            throw e;
+        }
+        onError(e);
+    }
+    // Errors in the timeouts between frames are not seen by the caller of record(), so they are passed to fail():
+    function guard(f) {
+        return function() {
+            if(failed) {
+                return;
+            }
+            try {
+                f();
+            }
+            catch(e) {
+                fail(e);
+            }
+        };
+    }
+
+    /*
+      Capture at least 'frames' frames and continue until the animations are done.
+      update(i) is optional and called before frame i is rendered.
+      Each frame is rendered while the recorder is paused. The recorder then runs for exactly one frame duration, so the timestamps of the frames do not depend on how long it takes to render them.
+     */
+    function play(frames, update, onPlayed) {
+        let i = 0;
+        function nextFrame() {
+            if(self.stopped || (i >= frames && !clock.isAnimating())) {
+                onPlayed();
+                return;
+            }
+            update && update(i);
+            manager.render();
+            recorder.resume();
+            track.requestFrame();
+            i++;
+            setTimeout(guard(() => {
+                recorder.pause();
+                clock.tick();
+                nextFrame();
+            }), 1000/fps);
+        }
+        nextFrame();
+    }
+
+    let stepFrames = Math.max(1, Math.round(this.secondsPerStep*fps));
+    let step = 1;
+    function recordStep() {
+        onProgress && onProgress(step, sh.totalNumberOfSteps);
+        play(stepFrames, null, function() {
+            if(self.stopped || sh.isAtLastStep()) {
+                turntable();
+                return;
+            }
+            step++;
+            manager.nextStep(); // Animates using the clock.
+            recordStep();
+        });
+    }
+
+    function turntable() {
+        let frames = Math.round(self.turntableSeconds*fps);
+        if(self.stopped || frames === 0) {
+            finish();
+            return;
+        }
+        let base = manager.baseObject;
+        base.updateMatrix();
+        let original = base.matrix.clone();
+        manager.updateCameraZoom(manager.defaultZoom * self.getTurntableZoomFactor(original));
+
+        let m = new THREE.Matrix4();
+        play(frames, function(i) {
+            m.makeRotationY(2*Math.PI*i/frames).multiply(original);
+            m.decompose(base.position, base.quaternion, base.scale);
+        }, function() {
+            original.decompose(base.position, base.quaternion, base.scale);
+            manager.updateCameraZoom();
+            finish();
+        });
+    }
+
+    function finish() {
+        manager.clock = LDR.InstructionsManager.REAL_TIME; // First, so the manager is not left on the frame clock should the rest fail.
+        clock.finish();
+        manager.render();
+        recorder.stop();
+    }
+
+    // Start from the first step:
+    guard(function() {
+        manager.hidePliPreview();
+        manager.clock = clock; // Before moving, so the animation to the first step is recorded rather than run in real time.
+        sh.moveSteps(1 - manager.currentStep, () => manager.handleStepsWalked());
+        recorder.start();
+        recorder.pause(); // Until the first frame is rendered.
+        recordStep();
+    })();
+}
+
+/*
+ * Stop recording. The video recorded so far is passed to onDone of record().
+ */
+LDR.VideoRecorder.prototype.stop = function() {
+    this.stopped = true;
+}
+
+/*
+ * The model can take up more space when turned than from the front. Returns how much to zoom out for the model to stay within the view while turning.
+ */
+LDR.VideoRecorder.prototype.getTurntableZoomFactor = function(matrix) {
+    let measurer = new LDR.Measurer(this.manager.camera);
+    let b = this.manager.stepHandler.getAccumulatedBounds();
+    let [dx0, dy0] = measurer.measure(b, matrix);
+    let m = new THREE.Matrix4();
+    let ret = 1;
+    for(let i = 1; i < 16; i++) {
+        m.makeRotationY(Math.PI*i/8).multiply(matrix);
+        let [dx, dy] = measurer.measure(b, m);
+        ret = Math.min(ret, dx0/dx, dy0/dy);
+    }
+    return ret;
+}
+
+/*
+  Clock for LDR.InstructionsManager which only advances when tick() is called. Each tick moves the time one frame forward and calls the functions given to requestAnimationFrame().
+ */
+LDR.FrameClock = function(fps) {
+    this.fps = fps;
+    this.frame = 0;
+    this.callbacks = {}; // id -> function
+    this.nextID = 1;
+}
+
+LDR.FrameClock.prototype.now = function() {
+    return this.frame*1000/this.fps;
+}
+
+LDR.FrameClock.prototype.requestAnimationFrame = function(f) {
+    let id = this.nextID++;
+    this.callbacks[id] = f;
+    return id;
+}
+
+LDR.FrameClock.prototype.cancelAnimationFrame = function(id) {
+    delete this.callbacks[id];
+}
+
+LDR.FrameClock.prototype.isAnimating = function() {
+    return Object.keys(this.callbacks).length > 0;
+}
+
+LDR.FrameClock.prototype.tick = function() {
+    this.frame++;
+    let callbacks = this.callbacks;
+    this.callbacks = {};
+    for(let id in callbacks) {
+        callbacks[id]();
+    }
+}
+
+/*
+ * Run the animations to the end.
+ */
+LDR.FrameClock.prototype.finish = function() {
+    while(this.isAnimating()) {
+        this.tick();
+    }
+}
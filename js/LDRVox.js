@@ -0,0 +1,266 @@
+'use strict';
+
+/*
+  Import of MagicaVoxel models. Specification: https://github.com/ephtracy/voxel-model/blob/master/MagicaVoxel-file-format-vox.txt
+
+  A .vox file consists of chunks. The chunks used are:
+  - SIZE: Size of the model in voxels.
+  - XYZI: Voxels as x, y, z and palette index. z is up.
+  - RGBA: Palette. The default palette is used if not present.
+
+  Each layer of voxels becomes a layer of bricks or plates:
+  Voxels are greedily merged into the largest parts that fit, and palette colors are mapped to the nearest LDraw colors.
+  The model has a step for each layer from the bottom up.
+
+  Voxel x becomes LDraw X, voxel y becomes LDraw Z, and voxel z becomes LDraw -Y. The model is centered on X and Z.
+
+  options:
+  - height: 'brick' (default) or 'plate'. Height of a voxel.
+  - parts: Parts to merge voxels into. Defaults to LDR.VoxImporter.BRICKS or LDR.VoxImporter.PLATES depending on 'height'.
+  - colorIDs: LDraw colors to choose from. Defaults to the solid colors of LDR.Colors.getSolidColorIDs().
+ */
+LDR.VoxImporter = function(loader, options) {
+    options = options || {};
+    this.loader = loader;
+    this.height = options.height === 'plate' ? 8 : 24; // LDU
+    this.parts = options.parts || (options.height === 'plate' ? LDR.VoxImporter.PLATES : LDR.VoxImporter.BRICKS);
+    this.colorIDs = options.colorIDs || LDR.Colors.getSolidColorIDs();
+}
+
+// Parts are 'length' studs along X and 'width' studs along Z:
+LDR.VoxImporter.BRICKS = [
+    {ID:'3005.dat', width:1, length:1}, {ID:'3004.dat', width:1, length:2}, {ID:'3622.dat', width:1, length:3},
+    {ID:'3010.dat', width:1, length:4}, {ID:'3009.dat', width:1, length:6}, {ID:'3008.dat', width:1, length:8},
+    {ID:'3003.dat', width:2, length:2}, {ID:'3002.dat', width:2, length:3}, {ID:'3001.dat', width:2, length:4},
+    {ID:'2456.dat', width:2, length:6}, {ID:'3007.dat', width:2, length:8}, {ID:'3006.dat', width:2, length:10}
+];
+LDR.VoxImporter.PLATES = [
+    {ID:'3024.dat', width:1, length:1}, {ID:'3023.dat', width:1, length:2}, {ID:'3623.dat', width:1, length:3},
+    {ID:'3710.dat', width:1, length:4}, {ID:'3666.dat', width:1, length:6}, {ID:'3460.dat', width:1, length:8},
+    {ID:'3022.dat', width:2, length:2}, {ID:'3021.dat', width:2, length:3}, {ID:'3020.dat', width:2, length:4},
+    {ID:'3795.dat', width:2, length:6}, {ID:'3034.dat', width:2, length:8}, {ID:'3031.dat', width:4, length:4},
+    {ID:'3032.dat', width:4, length:6}, {ID:'3035.dat', width:4, length:8}, {ID:'3030.dat', width:4, length:10},
+    {ID:'3958.dat', width:6, length:6}, {ID:'3036.dat', width:6, length:8}
+];
+
+/*
+  The palette used by files without an RGBA chunk as 0xRRGGBB values. Index 0 is unused.
+  It is a 6x6x6 color cube without black, followed by ramps of red, green, blue and grey.
+ */
+LDR.VoxImporter.getDefaultPalette = function() {
+    let ret = [0];
+    let levels = [0xFF, 0xCC, 0x99, 0x66, 0x33, 0x00];
+    levels.forEach(r => levels.forEach(g => levels.forEach(b => ret.push((r << 16) | (g << 8) | b))));
+    ret.pop(); // Black
+    let ramp = [0xEE, 0xDD, 0xBB, 0xAA, 0x88, 0x77, 0x55, 0x44, 0x22, 0x11];
+    ramp.forEach(v => ret.push(v << 16));
+    ramp.forEach(v => ret.push(v << 8));
+    ramp.forEach(v => ret.push(v));
+    ramp.forEach(v => ret.push((v << 16) | (v << 8) | v));
+    return ret;
+}
+
+/*
+ * Import a .vox file from a File, Blob or URL.
+ */
+LDR.VoxImporter.prototype.load = function(source) {
+    let self = this;
+    let loader = this.loader;
+    let name = source instanceof Blob ? source.name : source;
+    let fail = e => loader.fail({name:'LoadError', message:'Could not import "' + name + '": ' + (e.message || e)});
+    loader.unloadedFiles++; // Ensure onLoad() is not called before the model has been imported.
+
+    function onVox(buffer) {
+        loader.unloadedFiles--;
+        if(loader.aborted) {
+            return;
+        }
+        try {
+            self.importVox(buffer, name);
+        }
+        catch(e) {
+            fail(e);
+        }
+    }
+
+    if(source instanceof Blob) {
+        source.arrayBuffer().then(onVox, fail);
+    }
+    else {
+        let fileLoader = new THREE.FileLoader(THREE.DefaultLoadingManager);
+        fileLoader.setResponseType('arraybuffer');
+        fileLoader.load(source, onVox, undefined, () => fail('File not found'));
+    }
+}
+
+/*
+ * Read the first model of a .vox file. Returns {size:{x, y, z}, voxels:[{x, y, z, i}], palette}
+ */
+LDR.VoxImporter.parse = function(buffer) {
+    let view = new DataView(buffer);
+    function id(pos) {
+        return String.fromCharCode(view.getUint8(pos), view.getUint8(pos+1), view.getUint8(pos+2), view.getUint8(pos+3));
+    }
+    if(buffer.byteLength < 20 || id(0) !== 'VOX ' || id(8) !== 'MAIN') {
+        throw 'Not a MagicaVoxel file';
+    }
+
+    let ret = {size:null, voxels:null, palette:LDR.VoxImporter.getDefaultPalette(), models:0};
+    let pos = 20; // Children of MAIN.
+    while(pos + 12 <= buffer.byteLength) {
+        let chunk = id(pos);
+        let contentSize = view.getUint32(pos + 4, true);
+        let childrenSize = view.getUint32(pos + 8, true);
+        let content = pos + 12;
+
+        if(chunk === 'SIZE') {
+            ret.models++;
+            if(!ret.size) {
+                ret.size = {x:view.getUint32(content, true), y:view.getUint32(content+4, true), z:view.getUint32(content+8, true)};
+            }
+        }
+        else if(chunk === 'XYZI' && !ret.voxels) {
+            let count = view.getUint32(content, true);
+            ret.voxels = [];
+            for(let i = 0; i < count; i++) {
+                let v = content + 4 + 4*i;
+                ret.voxels.push({x:view.getUint8(v), y:view.getUint8(v+1), z:view.getUint8(v+2), i:view.getUint8(v+3)});
+            }
+        }
+        else if(chunk === 'RGBA') {
+            for(let i = 0; i < 255; i++) { // Entry i is palette index i+1.
+                let c = content + 4*i;
+                ret.palette[i+1] = (view.getUint8(c) << 16) | (view.getUint8(c+1) << 8) | view.getUint8(c+2);
+            }
+        }
+        pos = content + contentSize + childrenSize;
+    }
+    if(!ret.size || !ret.voxels) {
+        throw 'No model in the MagicaVoxel file';
+    }
+    return ret;
+}
+
+/*
+ * Greedily merge the cells of a layer into parts.
+ * 'grid' has the color ID of each cell (index x + y*sizeX) or -1 for empty cells. It is modified.
+ * Returns [{ID, colorID, x, y, length, width, rotated}] where x, y is the corner with the smallest coordinates.
+ */
+LDR.VoxImporter.prototype.mergeLayer = function(grid, sizeX, sizeY) {
+    let ret = [];
+    let parts = this.parts.slice().sort((a, b) => b.width*b.length - a.width*a.length);
+
+    function fits(x0, y0, dx, dy, colorID) {
+        for(let y = y0; y < y0+dy; y++) {
+            for(let x = x0; x < x0+dx; x++) {
+                if(grid[x + y*sizeX] !== colorID) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    parts.forEach(part => {
+            let orientations = [[part.length, part.width, false]];
+            if(part.length !== part.width) {
+                orientations.push([part.width, part.length, true]);
+            }
+            orientations.forEach(([dx, dy, rotated]) => {
+                    for(let y0 = 0; y0 + dy <= sizeY; y0++) {
+                        for(let x0 = 0; x0 + dx <= sizeX; x0++) {
+                            let colorID = grid[x0 + y0*sizeX];
+                            if(colorID < 0 || !fits(x0, y0, dx, dy, colorID)) {
+                                continue;
+                            }
+                            for(let y = y0; y < y0+dy; y++) {
+                                for(let x = x0; x < x0+dx; x++) {
+                                    grid[x + y*sizeX] = -1;
+                                }
+                            }
+                            ret.push({ID:part.ID, colorID:colorID, x:x0, y:y0, length:dx, width:dy, rotated:rotated});
+                        }
+                    }
+                });
+        });
+
+    if(grid.some(colorID => colorID >= 0)) {
+        throw 'Not all voxels could be covered. A 1 x 1 part is required';
+    }
+    return ret;
+}
+
+/*
+ * Create the model from the content of a .vox file.
+ * name is used for naming the main model.
+ */
+LDR.VoxImporter.prototype.importVox = function(buffer, name) {
+    let self = this;
+    let loader = this.loader;
+    let vox = LDR.VoxImporter.parse(buffer);
+    if(vox.models > 1) {
+        loader.onWarning({message:'The MagicaVoxel file contains ' + vox.models + ' models. Only the first is imported.'});
+    }
+
+    name = (name || 'main').substring((name || '').lastIndexOf('/')+1).replace(/\.vox$/i, '').toLowerCase();
+    let mainModel = new THREE.LDRPartType();
+    mainModel.ID = name + '.ldr';
+    mainModel.modelDescription = name;
+    if(loader.saveFileLines) {
+        mainModel.headerLines.push(new LDR.Line0('FILE ' + mainModel.ID), new LDR.Line0(name), new LDR.Line0('Name: ' + mainModel.ID));
+    }
+
+    // Colors of the palette entries:
+    let colorIDs = {};
+    function getColorID(i) {
+        if(!colorIDs.hasOwnProperty(i)) {
+            colorIDs[i] = LDR.Colors.getNearestColorID(LDR.Colors.int2RGB(vox.palette[i]), self.colorIDs);
+        }
+        return colorIDs[i];
+    }
+
+    // Layers:
+    let sizeX = vox.size.x, sizeY = vox.size.y;
+    let layers = [];
+    vox.voxels.forEach(v => {
+            if(v.x >= sizeX || v.y >= sizeY) {
+                return; // Outside of the model.
+            }
+            if(!layers[v.z]) {
+                layers[v.z] = new Array(sizeX*sizeY).fill(-1);
+            }
+            layers[v.z][v.x + v.y*sizeX] = getColorID(v.i);
+        });
+
+    let rotated = new THREE.Matrix3();
+    rotated.set(0, 0, 1, 0, 1, 0, -1, 0, 0);
+    let partIDs = {};
+    layers.forEach((grid, z) => { // Empty layers are skipped.
+            let step = new THREE.LDRStep();
+            self.mergeLayer(grid, sizeX, sizeY).forEach(p => {
+                    let position = new THREE.Vector3(20*(p.x + p.length/2 - sizeX/2),
+                                                     -self.height*(z+1),
+                                                     20*(p.y + p.width/2 - sizeY/2));
+                    let rotation = p.rotated ? rotated.clone() : new THREE.Matrix3();
+                    let pd = new THREE.LDRPartDescription(p.colorID, position, rotation, p.ID, true, false);
+                    step.addSubModel(pd);
+                    if(loader.saveFileLines) {
+                        step.fileLines.push(new LDR.Line1(pd));
+                    }
+                    partIDs[p.ID] = true;
+                });
+            mainModel.addStep(step);
+        });
+
+    // Register the model and load the LDraw parts:
+    loader.unloadedFiles++;
+    loader.partTypes[mainModel.ID] = mainModel;
+    loader.mainModel = mainModel.ID;
+    for(let ID in partIDs) {
+        if(partIDs.hasOwnProperty(ID) && !loader.partTypes[ID]) {
+            loader.load(ID);
+        }
+    }
+    loader.unloadedFiles--;
+    loader.reportProgress(mainModel.ID);
+}
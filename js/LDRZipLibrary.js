@@ -0,0 +1,271 @@
+'use strict';
+
+/*
+  LDraw library read directly from a ZIP archive, such as complete.zip from https://www.ldraw.org/parts/latest-parts.html
+
+  The archive is read into memory. Files are decompressed when they are loaded.
+  An index maps part ids to the files of the archive under 'parts/' and 'p/', such as:
+
+  - '3001.dat' => 'ldraw/parts/3001.dat'
+  - 's/3001s01.dat' => 'ldraw/parts/s/3001s01.dat'
+  - '48/1-4cyli.dat' => 'ldraw/p/48/1-4cyli.dat'
+
+  Files from directories named 'unofficial' are indexed the same way, but official files take precedence.
+  Textures for TEXMAP under 'parts/textures/' are indexed by their file name, such as '3626cp0j.png' => 'ldraw/parts/textures/3626cp0j.png'.
+
+  The library is used by THREE.LDRLoader as both file loader and for translating ids into file locations. Textures are loaded using LDR.ZipTextureLoader:
+
+  let library = new LDR.ZipLibrary();
+  library.open(fileOrUrl).then(() => {
+      let loader = new THREE.LDRLoader(onLoad, {fileLoader:library, idToUrl:(id, top) => library.idToUrl(id, top),
+                                                textureLoader:new LDR.ZipTextureLoader(library), idToTextureUrl:id => library.idToTextureUrl(id)});
+      loader.load('models/model.mpd', true);
+  });
+
+  Files which are not in the archive, such as the model itself, are loaded using THREE.FileLoader.
+  Decompression uses DecompressionStream, which is supported by all major browsers.
+ */
+LDR.ZipLibrary = function(manager) {
+    this.entries = {}; // Lower case path in the archive => {path, buffer, method, offset, compressedSize}
+    this.index = {}; // id => entry.
+    this.textures = {}; // Lower case texture file name => entry.
+    this.roots = []; // First directories of the paths in the archive, such as 'ldraw/'. Paths under these are not looked for elsewhere.
+    this.fileLoader = new THREE.FileLoader(manager || THREE.DefaultLoadingManager);
+    this.fallbackIdToUrl = id => id; // Used by idToUrl() for ids which are not in the index.
+    this.fallbackIdToTextureUrl = id => 'ldraw_parts/textures/' + id.toLowerCase(); // Used by idToTextureUrl() for textures which are not in the archive.
+}
+
+/*
+ * Read an archive. 'source' is either a File or Blob, or the URL of the archive.
+ * Archives can be opened one after the other, such as complete.zip followed by an archive of unofficial files.
+ * Returns a Promise which resolves once the index has been built.
+ */
+LDR.ZipLibrary.prototype.open = function(source) {
+    let self = this;
+    return new Promise(function(resolve, reject) {
+        function onRead(buffer) {
+            try {
+                self.readCentralDirectory(buffer);
+                resolve(self);
+            }
+            catch(e) {
+                reject({name:'ZipError', message:'' + e});
+            }
+        }
+
+        if(source instanceof Blob) {
+            let reader = new FileReader();
+            reader.onload = () => onRead(reader.result);
+            reader.onerror = () => reject({name:'LoadError', message:'Could not read "' + (source.name || 'blob') + '": ' + reader.error});
+            reader.readAsArrayBuffer(source);
+        }
+        else {
+            self.fileLoader.setResponseType('arraybuffer');
+            self.fileLoader.load(source, onRead, undefined, function(event) {
+                    let status = event && event.target ? event.target.status : undefined;
+                    reject({name:'LoadError', message:'Could not load "' + source + '"', url:source, status:status});
+                });
+            self.fileLoader.setResponseType('text');
+        }
+    });
+}
+
+/*
+ * Find the entries of the archive using the central directory at the end of it.
+ * See the ZIP specification: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+ */
+LDR.ZipLibrary.prototype.readCentralDirectory = function(buffer) {
+    let view = new DataView(buffer);
+
+    // The end of central directory record is at the end of the archive, possibly followed by a comment:
+    let eocd = -1;
+    for(let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 22 - 0xFFFF); i--) {
+        if(view.getUint32(i, true) === 0x06054b50) {
+            eocd = i;
+            break;
+        }
+    }
+    if(eocd < 0) {
+        throw 'Not a ZIP archive';
+    }
+    let count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+
+    // ZIP64 archives store the values in a separate record:
+    if((count === 0xFFFF || offset === 0xFFFFFFFF) && eocd >= 20 && view.getUint32(eocd - 20, true) === 0x07064b50) {
+        let eocd64 = LDR.ZipLibrary.getUint64(view, eocd - 12);
+        count = LDR.ZipLibrary.getUint64(view, eocd64 + 32);
+        offset = LDR.ZipLibrary.getUint64(view, eocd64 + 48);
+    }
+
+    let decoder = new TextDecoder();
+    for(let i = 0; i < count; i++) {
+        if(offset + 46 > buffer.byteLength || view.getUint32(offset, true) !== 0x02014b50) {
+            throw 'Malformed central directory in ZIP archive';
+        }
+        let method = view.getUint16(offset + 10, true);
+        let compressedSize = view.getUint32(offset + 20, true);
+        let nameLength = view.getUint16(offset + 28, true);
+        let extraLength = view.getUint16(offset + 30, true);
+        let commentLength = view.getUint16(offset + 32, true);
+        let localOffset = view.getUint32(offset + 42, true);
+        let path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+        if(!path.endsWith('/')) { // Skip directories.
+            this.addEntry({path:path, buffer:buffer, method:method, offset:localOffset, compressedSize:compressedSize});
+        }
+        offset += 46 + nameLength + extraLength + commentLength;
+    }
+}
+
+LDR.ZipLibrary.getUint64 = function(view, offset) {
+    return view.getUint32(offset, true) + view.getUint32(offset + 4, true) * 0x100000000;
+}
+
+/*
+ * Add an entry of an archive to the index, unless an entry with the same path has already been added.
+ */
+LDR.ZipLibrary.prototype.addEntry = function(entry) {
+    let path = entry.path.toLowerCase().replace(/\\/g, '/');
+    if(this.entries.hasOwnProperty(path)) {
+        return; // Archives opened first take precedence.
+    }
+    this.entries[path] = entry;
+
+    let root = path.substring(0, path.indexOf('/')+1);
+    if(root && this.roots.indexOf(root) < 0) {
+        this.roots.push(root);
+    }
+
+    // Index files under 'parts/' and 'p/', and the textures under 'parts/textures/':
+    let m = path.match(/^(.*\/)?parts\/textures\/(.+)$/);
+    let index = this.textures;
+    if(!m) {
+        m = path.match(/^(.*\/)?(parts|p)\/(.+\.dat)$/);
+        index = this.index;
+    }
+    if(!m) {
+        return;
+    }
+    let id = m[m.length-1];
+    let unofficial = (m[1] || '').split('/').indexOf('unofficial') >= 0;
+    let existing = index[id];
+    if(!existing || (existing.unofficial && !unofficial)) {
+        entry.unofficial = unofficial;
+        index[id] = entry;
+    }
+}
+
+/*
+ * Translate an id into the path of its file in the archive. Ids which are not in the index are translated using fallbackIdToUrl().
+ */
+LDR.ZipLibrary.prototype.idToUrl = function(id, top) {
+    let entry = !top && this.index[id.toLowerCase().replace('\\', '/')];
+    if(entry) {
+        return entry.path.toLowerCase().replace(/\\/g, '/');
+    }
+    return this.fallbackIdToUrl(id, top);
+}
+
+/*
+ * Translate the file name of a texture into the path of its file in the archive. Textures which are not in the archive are translated using fallbackIdToTextureUrl().
+ */
+LDR.ZipLibrary.prototype.idToTextureUrl = function(id) {
+    let entry = this.textures[id.toLowerCase().replace('\\', '/')];
+    if(entry) {
+        return entry.path.toLowerCase().replace(/\\/g, '/');
+    }
+    return this.fallbackIdToTextureUrl(id);
+}
+
+/*
+ * Get the decompressed content of an entry as a Promise of an ArrayBuffer.
+ */
+LDR.ZipLibrary.prototype.decompress = function(entry) {
+    let view = new DataView(entry.buffer);
+    if(view.getUint32(entry.offset, true) !== 0x04034b50) {
+        return Promise.reject('Malformed local header for "' + entry.path + '"');
+    }
+    let start = entry.offset + 30 + view.getUint16(entry.offset + 26, true) + view.getUint16(entry.offset + 28, true);
+    let data = new Uint8Array(entry.buffer, start, entry.compressedSize);
+
+    if(entry.method === 0) { // Stored.
+        return Promise.resolve(data.slice().buffer);
+    }
+    if(entry.method !== 8) {
+        return Promise.reject('Unsupported compression method ' + entry.method + ' for "' + entry.path + '"');
+    }
+    let stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Response(stream).arrayBuffer();
+}
+
+/*
+ * Same interface as THREE.FileLoader.load(), so that the library can be used as file loader by THREE.LDRLoader.
+ * Files in the archive are decompressed. Files missing from directories of the archive fail as 'not found' (status 404).
+ * Other files are loaded using THREE.FileLoader.
+ * Returns an object with an abort() function.
+ */
+LDR.ZipLibrary.prototype.load = function(url, onLoad, onProgress, onError) {
+    let path = url.toLowerCase().replace(/\\/g, '/');
+    let entry = this.entries[path];
+    if(!entry && !this.roots.some(root => path.startsWith(root))) {
+        return this.fileLoader.load(url, onLoad, onProgress, onError);
+    }
+
+    let aborted = false;
+    function fail(status, message) {
+        if(!aborted && onError) {
+            onError({target:{status:status}, message:message});
+        }
+    }
+    if(!entry) {
+        setTimeout(() => fail(404, 'Not found in archive: ' + url), 0); // Asynchronous like THREE.FileLoader.
+    }
+    else {
+        let responseType = this.fileLoader.responseType;
+        this.decompress(entry).then(buffer => responseType === 'arraybuffer' ? buffer : new TextDecoder().decode(buffer)).then(content => {
+                // Outside of the Promise, so that errors thrown by onLoad() are not reported as failing to load the file:
+                setTimeout(() => aborted || onLoad(content), 0);
+            }, e => fail(500, '' + e));
+    }
+    return {abort: () => aborted = true};
+}
+
+/*
+  Texture loader for the textures of an LDR.ZipLibrary. It has the load() function of THREE.TextureLoader, so that it can be used as texture loader by THREE.LDRLoader.
+  Textures in the archive are decompressed and loaded from an object URL which is revoked once the texture has been loaded.
+  Textures missing from directories of the archive fail. Other textures are loaded using THREE.TextureLoader.
+ */
+LDR.ZipTextureLoader = function(library, manager) {
+    this.library = library;
+    this.textureLoader = new THREE.TextureLoader(manager || THREE.DefaultLoadingManager);
+}
+
+LDR.ZipTextureLoader.prototype.load = function(url, onLoad, onProgress, onError) {
+    let library = this.library;
+    let textureLoader = this.textureLoader;
+    let path = url.toLowerCase().replace(/\\/g, '/');
+    let entry = library.entries[path];
+    if(!entry && !library.roots.some(root => path.startsWith(root))) {
+        textureLoader.load(url, onLoad, onProgress, onError);
+        return;
+    }
+
+    function fail(message) {
+        onError && onError({message:message});
+    }
+    if(!entry) {
+        setTimeout(() => fail('Not found in archive: ' + url), 0);
+        return;
+    }
+    library.decompress(entry).then(buffer => {
+            let objectUrl = URL.createObjectURL(new Blob([buffer]));
+            textureLoader.load(objectUrl, texture => {
+                    URL.revokeObjectURL(objectUrl);
+                    onLoad(texture);
+                }, onProgress, event => {
+                    URL.revokeObjectURL(objectUrl);
+                    onError && onError(event);
+                });
+        }, e => fail('' + e));
+}
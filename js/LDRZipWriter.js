@@ -0,0 +1,110 @@
+'use strict';
+
+/*
+  Creation of ZIP archives for downloading several files at once. Specification: https://pkware.cachefly.net/webdocs/casestudies/APPNOTE.TXT
+
+  Files are stored without compression, which suits already compressed files such as PNG images.
+
+  Example:
+
+  let zip = new LDR.ZipWriter();
+  zip.add('readme.txt', 'Hello');
+  zip.add('image.png', new Uint8Array(pngArrayBuffer));
+  let blob = zip.toBlob();
+ */
+LDR.ZipWriter = function() {
+    this.files = []; // {name, data, crc} with the name and data as Uint8Arrays.
+    this.date = new Date();
+}
+
+/*
+ * Add a file. 'data' is either a string, which is stored as UTF-8, or a Uint8Array.
+ */
+LDR.ZipWriter.prototype.add = function(name, data) {
+    let encoder = new TextEncoder();
+    if(typeof data === 'string') {
+        data = encoder.encode(data);
+    }
+    this.files.push({name:encoder.encode(name), data:data, crc:LDR.ZipWriter.crc32(data)});
+}
+
+LDR.ZipWriter.crcTable = null; // Computed when first used.
+
+LDR.ZipWriter.crc32 = function(data) {
+    let table = LDR.ZipWriter.crcTable;
+    if(!table) {
+        table = LDR.ZipWriter.crcTable = new Uint32Array(256);
+        for(let i = 0; i < 256; i++) {
+            let c = i;
+            for(let k = 0; k < 8; k++) {
+                c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+            }
+            table[i] = c;
+        }
+    }
+    let crc = 0xFFFFFFFF;
+    for(let i = 0; i < data.length; i++) {
+        crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/*
+ * Create the archive. Returns a Blob.
+ */
+LDR.ZipWriter.prototype.toBlob = function() {
+    let d = this.date;
+    let time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+    let date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+
+    // Fields shared by the local file headers and the central directory:
+    function writeCommon(view, pos, file) {
+        view.setUint16(pos, 20, true); // Version needed to extract.
+        view.setUint16(pos+2, 0x0800, true); // Flags: UTF-8 names.
+        view.setUint16(pos+4, 0, true); // Stored.
+        view.setUint16(pos+6, time, true);
+        view.setUint16(pos+8, date, true);
+        view.setUint32(pos+10, file.crc, true);
+        view.setUint32(pos+14, file.data.length, true); // Compressed size.
+        view.setUint32(pos+18, file.data.length, true); // Uncompressed size.
+        view.setUint16(pos+22, file.name.length, true);
+        view.setUint16(pos+24, 0, true); // Extra field length.
+    }
+
+    let parts = [], offsets = [], offset = 0;
+    this.files.forEach(file => {
+            let header = new Uint8Array(30 + file.name.length);
+            let view = new DataView(header.buffer);
+            view.setUint32(0, 0x04034B50, true);
+            writeCommon(view, 4, file);
+            header.set(file.name, 30);
+            parts.push(header, file.data);
+            offsets.push(offset);
+            offset += header.length + file.data.length;
+        });
+
+    let centralDirectoryOffset = offset;
+    this.files.forEach((file, i) => {
+            let header = new Uint8Array(46 + file.name.length);
+            let view = new DataView(header.buffer);
+            view.setUint32(0, 0x02014B50, true);
+            view.setUint16(4, 20, true); // Version made by.
+            writeCommon(view, 6, file);
+            // Comment length, disk number, internal and external attributes are 0.
+            view.setUint32(42, offsets[i], true);
+            header.set(file.name, 46);
+            parts.push(header);
+            offset += header.length;
+        });
+
+    let end = new Uint8Array(22);
+    let view = new DataView(end.buffer);
+    view.setUint32(0, 0x06054B50, true);
+    view.setUint16(8, this.files.length, true); // Entries on this disk.
+    view.setUint16(10, this.files.length, true); // Entries in total.
+    view.setUint32(12, offset - centralDirectoryOffset, true);
+    view.setUint32(16, centralDirectoryOffset, true);
+    parts.push(end);
+
+    return new Blob(parts, {type:'application/zip'});
+}